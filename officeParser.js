@@ -6,6 +6,7 @@ const concat        = require('concat-stream');
 const { DOMParser } = require('@xmldom/xmldom');
 const fileType      = require('file-type');
 const fs            = require('fs');
+const { PassThrough, pipeline } = require('stream');
 const yauzl         = require('yauzl');
 
 /** Load pdfjs-dist once at module scope. This returns a Promise that resolves to the module. */
@@ -21,7 +22,9 @@ const ERRORMSG = {
     locationNotFound:     (location) => `Entered location ${location} is not reachable! Please make sure that the entered directory location exists. Check relative paths and reenter.`,
     improperArguments:                  `Improper arguments`,
     improperBuffers:                    `Error occured while reading the file buffers`,
-    invalidInput:                       `Invalid input type: Expected a Buffer or a valid file path`
+    invalidInput:                       `Invalid input type: Expected a Buffer or a valid file path`,
+    invalidSelection:     (selection) => `Selection ${selection} is not valid. Select numbers and ranges of numbers separated by commas, like 1-3,7.`,
+    invalidRange:         (range) =>     `Range ${range} is not a valid cell range. Enter a range of cells like A1:H200.`
 }
 
 /** Returns parsed xml document for a given xml text.
@@ -33,11 +36,207 @@ const parseString = (xml) => {
     return parser.parseFromString(xml, "text/xml");
 };
 
+/** Returns the direct child elements of a node with the given tag name. Unlike getElementsByTagName, deeper descendants are not included.
+ * @param {Node}   node    The parent node
+ * @param {string} tagName Tag name of the child elements, "*" for all of them
+ * @returns {Element[]}
+ */
+const getChildElements = (node, tagName) => {
+    return /** @type {Element[]} */ (Array.from(node.childNodes).filter(child => child.nodeType === 1 && (tagName === "*" || child.nodeName === tagName)));
+};
+
+/** Returns the alternative of a markup compatibility block (mc:AlternateContent) that is used for parsing.
+ * The first mc:Choice holds the content in its current format, mc:Fallback the same content for older readers.
+ * @param {Element} alternateContentNode The mc:AlternateContent element
+ * @returns {Element | undefined}
+ */
+const getAlternateContent = (alternateContentNode) => {
+    return getChildElements(alternateContentNode, "mc:Choice")[0] ?? getChildElements(alternateContentNode, "mc:Fallback")[0];
+};
+
+/** @typedef {Object} Relationship
+ * @property {string}  type       Relationship type uri
+ * @property {string}  target     Target as written in the rels file
+ * @property {boolean} isExternal Flag whether the target lives outside the package, like a web url
+ * @property {string}  [path]     Package path of the target for internal relationships
+ */
+
+/** Get the path of the relationships file of an OOXML package part.
+ * @param {string} partPath Path of the part within the package, like word/document.xml
+ * @returns {string} Path of its rels file, like word/_rels/document.xml.rels
+ */
+const getRelationshipsPath = (partPath) => {
+    const separatorIndex = partPath.lastIndexOf("/");
+    return `${partPath.slice(0, separatorIndex + 1)}_rels/${partPath.slice(separatorIndex + 1)}.rels`;
+};
+
+/** Resolve a relationship target relative to the part that holds the relationship.
+ * @param {string} partPath Path of the source part within the package
+ * @param {string} target   Target as written in the rels file
+ * @returns {string} Path of the target within the package
+ */
+const resolveRelationshipTarget = (partPath, target) => {
+    // Absolute targets start from the package root.
+    const segments = target.startsWith("/") ? [] : partPath.split("/").slice(0, -1);
+    target.split("/").forEach(segment => {
+        if (segment == "..")
+            segments.pop();
+        else if (segment != "." && segment != "")
+            segments.push(segment);
+    });
+    return segments.join("/");
+};
+
+/** Parse an OOXML relationships file into a map of relationships keyed by their id.
+ * @param {string | undefined} relsXml  The rels file content. An undefined value returns an empty map.
+ * @param {string}             partPath Path of the part these relationships belong to
+ * @returns {Object<string, Relationship>}
+ */
+const parseRelationships = (relsXml, partPath) => {
+    /** @type {Object<string, Relationship>} */
+    const relationships = {};
+    if (relsXml == undefined)
+        return relationships;
+
+    Array.from(parseString(relsXml).getElementsByTagName("Relationship")).forEach(relationship => {
+        const target = relationship.getAttribute("Target") ?? "";
+        const isExternal = relationship.getAttribute("TargetMode") == "External";
+        relationships[relationship.getAttribute("Id")] = {
+            type: relationship.getAttribute("Type") ?? "",
+            target: target,
+            isExternal: isExternal,
+            path: isExternal ? undefined : resolveRelationshipTarget(partPath, target)
+        };
+    });
+    return relationships;
+};
+
+/** @typedef {Object} TableCell
+ * @property {string}    text      Markdown text of the cell
+ * @property {number}    colSpan   Number of grid columns the cell spans
+ * @property {number}    rowSpan   Number of rows the cell spans through vertical merges
+ * @property {TableCell} [origin]  The cell that covers this position, set for positions covered by a merged cell
+ */
+
+/** Render the cells of a table laid out on its grid as a Markdown table
+ * @param {TableCell[][]}      rows           Grid of cells, some positions may be empty
+ * @param {number}             headerRowCount Number of leading rows that are combined into the Markdown header row.
+ *                                            Without header rows, a blank header keeps every row of the table as data.
+ * @param {number}             columnCount    Number of grid columns
+ * @param {OfficeParserConfig} config         Config Object for officeParser
+ * @returns {string} Markdown formatted table
+ */
+const renderMarkdownTable = (rows, headerRowCount, columnCount, config) => {
+    if (rows.length === 0 || columnCount === 0) return "";
+
+    /** Markdown text shown at a grid position. Positions covered by a merged cell repeat its text or stay blank. */
+    const getCellText = (/** @type {TableCell} */ cell) => {
+        const text = cell.origin ? (config.mergedCells === "repeat" ? cell.origin.text : "") : cell.text;
+        return text.replace(/\|/g, '\\|') || " ";
+    };
+
+    // 生成Markdown表格
+    let markdownTable = "";
+
+    const headerRow = Array.from({ length: columnCount }, (_, col) => {
+        const headerTexts = rows.slice(0, headerRowCount)
+            .map(row => row[col] ? getCellText(row[col]).trim() : "")
+            .filter((text, index, texts) => text && texts.indexOf(text) === index);
+        return headerTexts.join(" ") || " ";
+    });
+    markdownTable += "| " + headerRow.join(" | ") + " |\n";
+
+    // 分隔行
+    markdownTable += "|" + " --- |".repeat(columnCount) + "\n";
+
+    // 表格数据行
+    for (let i = headerRowCount; i < rows.length; i++) {
+        markdownTable += "| " + Array.from({ length: columnCount }, (_, col) => rows[i][col] ? getCellText(rows[i][col]) : " ").join(" | ") + " |\n";
+    }
+    
+    return markdownTable;
+};
+
+/** Parse a selection of numbers like 1-3,7, as used for selecting slides and pages.
+ * @param {string | undefined} selection Numbers and ranges of numbers separated by commas. An empty selection selects all numbers.
+ * @returns {(number: number) => boolean} Function that checks whether a number is selected
+ */
+const parseNumberSelection = (selection) => {
+    if (!selection || !selection.trim())
+        return () => true;
+
+    const ranges = selection.split(",").map(part => {
+        const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        const range = match ? { start: parseInt(match[1], 10), end: parseInt(match[2] ?? match[1], 10) } : undefined;
+        // Numbers start at 1, reversed ranges like 7-3 would select nothing.
+        if (!range || range.start < 1 || range.end < range.start)
+            throw ERRORMSG.invalidSelection(selection);
+        return range;
+    });
+    return (number) => ranges.some(range => number >= range.start && number <= range.end);
+};
+
+/** Parse a range of spreadsheet cells like A1:H200. A single cell like B2 is a range of one cell.
+ * @param {string | undefined} range The cell range. An empty range gives undefined, for no limit on the cells.
+ * @returns {{ start: { row: number, col: number }, end: { row: number, col: number } } | undefined} First and last row and column of the range
+ */
+const parseCellRange = (range) => {
+    if (!range || !range.trim())
+        return undefined;
+
+    const match = range.trim().toUpperCase().match(/^\$?([A-Z]{1,3})\$?(\d+)(?::\$?([A-Z]{1,3})\$?(\d+))?$/);
+    if (!match)
+        throw ERRORMSG.invalidRange(range);
+    const [startCol, endCol] = [match[1], match[3] ?? match[1]].map(getExcelColumnNumber);
+    const [startRow, endRow] = [match[2], match[4] ?? match[2]].map(row => parseInt(row, 10));
+    return {
+        start: { row: Math.min(startRow, endRow), col: Math.min(startCol, endCol) },
+        end: { row: Math.max(startRow, endRow), col: Math.max(startCol, endCol) }
+    };
+};
+
+/** Check whether a cell is within a range of cells
+ * @param {{ start: { row: number, col: number }, end: { row: number, col: number } } | undefined} range Range from parseCellRange, undefined for no limit
+ * @param {number} row Row number of the cell, starting at 1
+ * @param {number} col Column number of the cell, starting at 1
+ * @returns {boolean}
+ */
+const isInCellRange = (range, row, col) =>
+    !range || (row >= range.start.row && row <= range.end.row && col >= range.start.col && col <= range.end.col);
+
+/** Filter the sheets of a spreadsheet to the ones selected by name or by their position in the workbook, starting at 1.
+ * @template {{ name: string }} Sheet
+ * @param {Sheet[]}                         sheets    Sheets in tab order
+ * @param {(string | number)[] | undefined} selection Names and positions of the selected sheets. An empty selection selects all sheets.
+ * @returns {Sheet[]} Selected sheets in tab order
+ */
+const selectSheets = (sheets, selection) => {
+    if (!selection || selection.length == 0)
+        return sheets;
+    return sheets.filter((sheet, index) => selection.some(selected => typeof selected === "number" ? selected == index + 1 : selected == sheet.name));
+};
+
 /** @typedef {Object} OfficeParserConfig
  * @property {boolean} [outputErrorToConsole] Flag to show all the logs to console in case of an error irrespective of your own handling. Default is false.
  * @property {string}  [newlineDelimiter]     The delimiter used for every new line in places that allow multiline text like word. Default is \n.
  * @property {boolean} [ignoreNotes]          Flag to ignore notes from parsing in files like powerpoint. Default is false. It includes notes in the parsed text by default.
  * @property {boolean} [putNotesAtLast]       Flag, if set to true, will collectively put all the parsed text from notes at last in files like powerpoint. Default is false. It puts each notes right after its main slide content. If ignoreNotes is set to true, this flag is also ignored.
+ * @property {boolean} [ignoreHiddenSlides]   Flag to leave out slides that are hidden in the slide show in files like powerpoint. Default is false. Slides keep their number in the deck either way.
+ * @property {boolean} [ignoreHiddenSheets]   Flag to leave out hidden sheets in files like excel. Default is false. Hidden sheets are included with (隐藏) after their name by default.
+ * @property {boolean} [rawValues]            Flag to give the stored values of spreadsheet cells in files like excel and open office calc instead of the values as displayed through their number format. Dates are then given in ISO 8601 and booleans as TRUE and FALSE. Default is false.
+ * @property {boolean} [cellFormatting]       Flag to render bold, italic and struck through runs of rich text cells in files like excel as markdown emphasis. Default is false, giving the plain cell text.
+ * @property {boolean} [firstRowAsHeader]     Flag to use the first row with data of each sheet in files like excel as the markdown table header instead of the column letters. Default is false.
+ * @property {(string | number)[]} [sheets]   Sheets to parse in spreadsheets like excel, by their name or by their position in the workbook starting at 1. Default is [], parsing all sheets.
+ * @property {string}  [range]                Range of cells like A1:H200 to parse of each sheet in spreadsheets like excel. Default is "", parsing all cells.
+ * @property {string}  [slides]               Slides to parse in presentations like powerpoint, as numbers and ranges like 1-3,7. Slides keep their number in the deck. Default is "", parsing all slides.
+ * @property {string}  [pages]                Pages to parse in pdf files, as numbers and ranges like 1-3,7. Default is "", parsing all pages.
+ * @property {"end" | "inline" | "ignore"} [footnotes] How footnotes and endnotes in files like word are rendered. "end" puts [^n] markers in the text and their definitions at the end, "inline" puts the note text right at the marker as ^[...] and "ignore" leaves them out. Default is "end".
+ * @property {"ignore" | "inline" | "end"} [comments] How comments in files like word and notes and comments of cells in files like excel are rendered. "inline" puts each comment thread right after the text it is anchored to, "end" lists all comment threads with their anchored text in a section at the end, for spreadsheets after the tables of their sheet with their cell reference, and "ignore" leaves them out. Default is "ignore".
+ * @property {"blank" | "repeat"} [mergedCells] How positions covered by a merged table cell are filled in markdown tables. "blank" leaves them empty and "repeat" repeats the text of the merged cell. Default is "blank".
+ * @property {"ignore" | "inline" | "only"} [formulas] How formulas of spreadsheet cells in files like excel are rendered. "inline" shows the formula as code followed by its cached value like `=SUM(B2:B9)` → 420, "only" shows the formula instead of the value and "ignore" leaves them out. With "inline", cells with a formula but no cached value show *无缓存值* as their value. Default is "ignore".
+ * @property {"flatten" | "html"} [nestedTables] How tables nested in a table cell in files like word are rendered. "flatten" puts their text into the cell with one line per row and "html" renders them as an html table within the cell. Default is "flatten".
+ * @property {"ignore" | "top" | "bottom" | "frontMatter"} [headersFooters] How headers and footers in files like word are included. Each distinct header and footer is included once. "top" and "bottom" put them at the top or the bottom of the text, "frontMatter" puts them as headers and footers lists in a YAML front matter block and "ignore" leaves them out. Default is "ignore".
+ * @property {"accept" | "reject" | "annotate"} [trackedChanges] How tracked changes in files like word are rendered. "accept" gives the text with all changes accepted, "reject" gives the original text before the changes and "annotate" marks insertions and deletions with html ins and del tags and formatting changes with html span tags, carrying their author and date. Default is "accept".
  */
 
 
@@ -54,8 +253,14 @@ function parseWord(file, callback, config) {
     const footnotesFileRegex   = /word\/footnotes[\d+]?.xml/g;
     const endnotesFileRegex    = /word\/endnotes[\d+]?.xml/g;
     const stylesFileRegex      = /word\/styles.xml/g;
+    const numberingFileRegex   = /word\/numbering.xml/g;
+    const relsFileRegex        = /word\/_rels\/.+\.rels/g;
+    const commentsFilePath     = 'word/comments.xml';
+    const commentsExtendedPath = 'word/commentsExtended.xml';
+    const headerFooterRegex    = /word\/(header|footer)\d*\.xml/g;
+    const settingsFilePath     = 'word/settings.xml';
 
-    extractFiles(file, x => [mainContentFileRegex, footnotesFileRegex, endnotesFileRegex, stylesFileRegex].some(fileRegex => x.match(fileRegex)))
+    extractFiles(file, x => x == commentsFilePath || x == commentsExtendedPath || x == settingsFilePath || [mainContentFileRegex, footnotesFileRegex, endnotesFileRegex, stylesFileRegex, numberingFileRegex, relsFileRegex, headerFooterRegex].some(fileRegex => x.match(fileRegex)))
         .then(files => {
             // Verify if atleast the document xml file exists in the extracted files list.
             if (!files.some(file => file.path.match(mainContentFileRegex)))
@@ -64,359 +269,2956 @@ function parseWord(file, callback, config) {
             const stylesFile = files.find(file => file.path.match(stylesFileRegex));
             const styleMap = stylesFile ? parseStyles(stylesFile.content) : {};
 
+            const numberingFile = files.find(file => file.path.match(numberingFileRegex));
+            const numberingMap = numberingFile ? parseNumbering(numberingFile.content) : {};
+
+            /** Relationships of a part, used to resolve hyperlinks within that part. */
+            const getPartRelationships = (partPath) => parseRelationships(files.find(file => file.path == getRelationshipsPath(partPath))?.content, partPath);
+
+            const notesMap = {
+                footnote: parseWordNotes(files.filter(file => file.path.match(footnotesFileRegex)), "w:footnote", getPartRelationships),
+                endnote:  parseWordNotes(files.filter(file => file.path.match(endnotesFileRegex)), "w:endnote", getPartRelationships)
+            };
+
+            const commentsFile = files.find(file => file.path == commentsFilePath);
+            const commentsMap = commentsFile && config.comments !== "ignore"
+                ? parseWordComments(commentsFile.content, files.find(file => file.path == commentsExtendedPath)?.content, getPartRelationships(commentsFilePath))
+                : {};
+
+            /** Header and footer parts keyed by their path */
+            const headerFooterParts = {};
+            if (config.headersFooters !== "ignore")
+                files.filter(file => file.path.match(headerFooterRegex))
+                    .forEach(file => headerFooterParts[file.path] = { content: file.content, relationships: getPartRelationships(file.path) });
+
+            // Even page headers are only shown when the document settings turn them on.
+            const settingsFile = files.find(file => file.path == settingsFilePath);
+            const evenAndOddHeaders = !!settingsFile && parseString(settingsFile.content).getElementsByTagName("w:evenAndOddHeaders").length > 0;
+
             return {
                 contentFiles: files
-                    .filter(file => file.path.match(mainContentFileRegex) || file.path.match(footnotesFileRegex) || file.path.match(endnotesFileRegex))
-                    .map(file => file.content),
-                styleMap: styleMap
+                    .filter(file => file.path.match(mainContentFileRegex))
+                    .map(file => ({ content: file.content, relationships: getPartRelationships(file.path) })),
+                headerFooterParts: headerFooterParts,
+                evenAndOddHeaders: evenAndOddHeaders,
+                /** @type {WordContext} */
+                context: {
+                    styleMap: styleMap,
+                    numberingMap: numberingMap,
+                    listState: createListState(),
+                    notesMap: notesMap,
+                    noteReferences: [],
+                    relationships: {},
+                    bookmarkTargets: new Set(),
+                    commentsMap: commentsMap,
+                    config: config
+                }
             };
         })
-        .then(({contentFiles, styleMap}) => {
+        .then(({contentFiles, headerFooterParts, evenAndOddHeaders, context}) => {
             /** Store all the text content to respond. */
             let responseText = [];
+            /** Distinct header and footer texts of all sections */
+            const headersFooters = { header: [], footer: [] };
 
-            contentFiles.forEach(xmlContent => {
-                const doc = parseString(xmlContent);
+            contentFiles.forEach(contentFile => {
+                const doc = parseString(contentFile.content);
                 const bodyElements = doc.getElementsByTagName("w:body")[0];
                 if (!bodyElements) return;
 
-                // 获取body下的所有直接子元素
-                const childElements = Array.from(bodyElements.childNodes).filter(node => node.nodeType === 1);
-                
-                childElements.forEach(node => {
-                    /** @type {Element} */
-                    // @ts-ignore
-                    var element = node
-                    if (element.nodeName === "w:tbl") {
-                        // 处理表格
-                        const markdownTable = parseWordTable(element, styleMap);
-                        if (markdownTable) {
-                            responseText.push(markdownTable);
-                        }
-                    } else if (element.nodeName === "w:p") {
-                        // 处理段落
-                        if (element.getElementsByTagName("w:t").length > 0) {
-                            const pStyle = getParagraphStyle(element, styleMap);
-                            
-                            const xmlTextNodeList = element.getElementsByTagName("w:t");
-                            const formattedText = Array.from(xmlTextNodeList)
-                                .filter(textNode => textNode.childNodes[0] && textNode.childNodes[0].nodeValue)
-                                .map(textNode => {
-                                    const text = textNode.childNodes[0].nodeValue;
-                                    const runNode = textNode.parentNode;
-                                    const formatting = runNode ? getTextFormatting(runNode) : {};
-                                    return applyMarkdownFormatting(text, formatting);
-                                })
-                                .join("");
-
-                            const paragraphText = applyParagraphFormatting(formattedText, pStyle);
-                            if (paragraphText.trim()) {
-                                responseText.push(paragraphText);
-                            }
-                        }
-                    }
-                });
+                context.relationships = contentFile.relationships;
+                context.bookmarkTargets = getWordBookmarkTargets(doc);
+                if (config.comments !== "ignore")
+                    setWordCommentAnchors(doc, context.commentsMap);
+
+                // 从body开始按文档顺序递归解析所有块级元素
+                parseWordBlocks(bodyElements, context, responseText);
+
+                if (config.headersFooters !== "ignore")
+                    collectWordHeadersFooters(doc, headerFooterParts, evenAndOddHeaders, context, headersFooters);
             });
 
+            // Place the headers and footers according to the config.
+            if (headersFooters.header.length > 0 || headersFooters.footer.length > 0) {
+                if (config.headersFooters === "frontMatter") {
+                    // YAML front matter, the strings are JSON encoded which is valid YAML.
+                    const frontMatter = ["---"];
+                    ["header", "footer"].filter(type => headersFooters[type].length > 0).forEach(type => {
+                        frontMatter.push(`${type}s:`);
+                        headersFooters[type].forEach(text => frontMatter.push(`  - ${JSON.stringify(text)}`));
+                    });
+                    frontMatter.push("---");
+                    responseText.unshift(...frontMatter);
+                }
+                else {
+                    const headerFooterLines = [
+                        ...headersFooters.header.map(text => `**页眉**: ${text}`),
+                        ...headersFooters.footer.map(text => `**页脚**: ${text}`)
+                    ];
+                    if (config.headersFooters === "top")
+                        responseText.unshift(...headerFooterLines, "");
+                    else
+                        responseText.push("", ...headerFooterLines);
+                }
+            }
+
+            // Append the comments section with every comment thread and the text it is anchored to.
+            if (config.comments === "end") {
+                const threads = Object.values(context.commentsMap).filter(comment => comment.parentId === undefined);
+                if (threads.length > 0) {
+                    responseText.push("", "## 批注", "");
+                    threads.forEach(comment => {
+                        responseText.push(`- ${getWordCommentText(comment, context)}`);
+                        if (comment.anchorText.trim())
+                            responseText.push(`    > ${comment.anchorText.trim()}`);
+                        comment.replies.forEach(reply => responseText.push(`    - ${getWordCommentText(reply, context)}`));
+                    });
+                }
+            }
+
+            // Append the footnote and endnote definitions in the order they were referenced.
+            if (context.noteReferences.length > 0) {
+                responseText.push("");
+                context.noteReferences.forEach(reference => responseText.push(`[^${reference.label}]: ${reference.text}`));
+            }
+
             // Respond by calling the Callback function.
             callback(responseText.join(config.newlineDelimiter ?? "\n"), undefined);
         })
         .catch(e => callback(undefined, e));
 }
 
-/** Parse Word table and convert to Markdown table
- * @param  tableElement The w:tbl element
- * @param {Object} styleMap Style mapping object
- * @returns {string} Markdown formatted table
+/** Parse the block level elements (paragraphs, tables and the containers wrapping them) of a Word element in document order
+ * @param {Element}     parentNode   The w:body or any element holding blocks like w:sdtContent or w:txbxContent
+ * @param {WordContext} context      Word parsing context
+ * @param {string[]}    responseText Markdown blocks parsed so far, new blocks get pushed to it
+ * @returns {void}
  */
-function parseWordTable(tableElement, styleMap) {
-    const rows = tableElement.getElementsByTagName("w:tr");
-    if (rows.length === 0) return "";
+function parseWordBlocks(parentNode, context, responseText) {
+    const listState = context.listState;
+    /** Text of the paragraphs whose paragraph mark is removed by the tracked changes, which run on into the next paragraph */
+    let joinedText = "";
+    const flushJoinedText = () => {
+        if (joinedText.trim())
+            responseText.push(joinedText);
+        joinedText = "";
+    };
 
-    const tableData = [];
-    let maxCols = 0;
+    Array.from(parentNode.childNodes).forEach(node => {
+        if (node.nodeType !== 1) return;
+        /** @type {Element} */
+        // @ts-ignore
+        const element = node;
 
-    // 解析所有行
-    Array.from(rows).forEach(row => {
-        const cells = row.getElementsByTagName("w:tc");
-        const rowData = [];
-        
-        Array.from(cells).forEach(cell => {
-            // 获取单元格中的所有段落
-            const paragraphs = cell.getElementsByTagName("w:p");
-            const cellContent = [];
-            
-            Array.from(paragraphs).forEach(paragraph => {
-                const textNodes = paragraph.getElementsByTagName("w:t");
-                if (textNodes.length > 0) {
-                    const paragraphText = Array.from(textNodes)
-                        .filter(textNode => textNode.childNodes[0] && textNode.childNodes[0].nodeValue)
-                        .map(textNode => {
-                            const text = textNode.childNodes[0].nodeValue;
-                            const runNode = textNode.parentNode;
-                            const formatting = runNode ? getTextFormatting(runNode) : {};
-                            return applyMarkdownFormatting(text, formatting);
-                        })
-                        .join("");
-                    
-                    if (paragraphText.trim()) {
-                        cellContent.push(paragraphText.trim());
-                    }
+        switch (element.nodeName) {
+            case "w:tbl": {
+                // 处理表格
+                flushJoinedText();
+                const markdownTable = parseWordTable(element, context);
+                if (markdownTable) {
+                    responseText.push(markdownTable);
                 }
-            });
-            
-            // 将单元格内容用空格连接，如果为空则用空字符串
-            rowData.push(cellContent.join(" ") || " ");
-        });
-        
-        if (rowData.length > 0) {
-            tableData.push(rowData);
-            maxCols = Math.max(maxCols, rowData.length);
-        }
-    });
-
-    if (tableData.length === 0 || maxCols === 0) return "";
-
-    // 确保所有行都有相同的列数
-    tableData.forEach(row => {
-        while (row.length < maxCols) {
-            row.push(" ");
-        }
-    });
-
-    // 生成Markdown表格
-    let markdownTable = "";
-    
-    // 表格头部（第一行）
-    if (tableData.length > 0) {
-        markdownTable += "| " + tableData[0].join(" | ") + " |\n";
-        
-        // 分隔行
-        markdownTable += "|" + " --- |".repeat(maxCols) + "\n";
-        
-        // 表格数据行（从第二行开始）
-        for (let i = 1; i < tableData.length; i++) {
-            markdownTable += "| " + tableData[i].join(" | ") + " |\n";
-        }
-    }
-    
-    return markdownTable;
-}
+                listState.depth = -1;
+                break;
+            }
+            case "w:p": {
+                // 处理段落
+                if (isWordParagraphMarkRemoved(element, context.config.trackedChanges)) {
+                    joinedText += getWordRunsText(element, context);
+                    getWordTextBoxes(element).forEach(textBox => parseWordBlocks(textBox, context, responseText));
+                    break;
+                }
+                // The joined paragraph takes the properties of the paragraph whose mark is kept.
+                const paragraphText = parseWordParagraph(element, context, joinedText);
+                joinedText = "";
+                if (paragraphText !== undefined)
+                    responseText.push(paragraphText);
 
-/** Parse styles.xml to create a style mapping
- * @param {string} stylesXml The styles.xml content
- * @returns {Object} Style mapping object
- */
-function parseStyles(stylesXml) {
-    const styleMap = {};
-    const doc = parseString(stylesXml);
-    const styles = doc.getElementsByTagName("w:style");
-    
-    Array.from(styles).forEach(style => {
-        const styleId = style.getAttribute("w:styleId");
-        const styleName = style.getElementsByTagName("w:name")[0]?.getAttribute("w:val") || "";
-        const styleType = style.getAttribute("w:type");
-        
-        if (styleId) {
-            styleMap[styleId] = {
-                name: styleName,
-                type: styleType,
-                isHeading: /^heading\s*\d+$/i.test(styleName) || /^title$/i.test(styleName)
-            };
-            
-            // Extract heading level
-            const headingMatch = styleName.match(/heading\s*(\d+)/i);
-            if (headingMatch) {
-                styleMap[styleId].headingLevel = parseInt(headingMatch[1]);
-            } else if (/^title$/i.test(styleName)) {
-                styleMap[styleId].headingLevel = 1;
+                // Text boxes and shapes anchored in the paragraph follow it as blocks of their own.
+                getWordTextBoxes(element).forEach(textBox => parseWordBlocks(textBox, context, responseText));
+                break;
+            }
+            case "w:sdt": {
+                // 处理内容控件
+                const sdtPr = getChildElements(element, "w:sdtPr")[0];
+                const docPartGallery = sdtPr?.getElementsByTagName("w:docPartGallery")[0]?.getAttribute("w:val");
+                const sdtContext = docPartGallery === "Table of Contents" ? { ...context, isTableOfContents: true } : context;
+                getChildElements(element, "w:sdtContent").forEach(sdtContent => parseWordBlocks(sdtContent, sdtContext, responseText));
+                break;
+            }
+            case "mc:AlternateContent": {
+                const alternateContent = getAlternateContent(element);
+                if (alternateContent)
+                    parseWordBlocks(alternateContent, context, responseText);
+                break;
             }
+            case "w:customXml":
+            case "w:smartTag":
+                parseWordBlocks(element, context, responseText);
+                break;
         }
     });
-    
-    return styleMap;
+
+    flushJoinedText();
 }
 
-/** Get paragraph style information
+/** Get the tracked insertion or deletion of the paragraph mark of a Word paragraph, which joins the paragraph with the next one when removed
  * @param {Element} paragraphNode The w:p element
- * @param {Object} styleMap Style mapping object
- * @returns {Object} Style information
+ * @returns {Element | undefined} The w:ins, w:del, w:moveTo or w:moveFrom element within the paragraph mark properties (w:pPr/w:rPr)
  */
-function getParagraphStyle(paragraphNode, styleMap) {
-    const pPr = paragraphNode.getElementsByTagName("w:pPr")[0];
-    if (!pPr) return {};
-    
-    const pStyle = pPr.getElementsByTagName("w:pStyle")[0];
-    if (!pStyle) return {};
-    
-    const styleId = pStyle.getAttribute("w:val");
-    return styleMap[styleId] || {};
+function getWordParagraphMarkRevision(paragraphNode) {
+    const pPr = getChildElements(paragraphNode, "w:pPr")[0];
+    const rPr = pPr ? getChildElements(pPr, "w:rPr")[0] : undefined;
+    return rPr ? getChildElements(rPr, "*").find(child => ["w:ins", "w:del", "w:moveTo", "w:moveFrom"].includes(child.nodeName)) : undefined;
 }
 
-/** Get text formatting information from run properties
- * @param  runNode The w:r element
- * @returns {Object} Formatting information
+/** Check whether the paragraph mark of a Word paragraph is removed by the tracked changes mode, a deleted mark when accepting and an inserted one when rejecting
+ * @param {Element} paragraphNode    The w:p element
+ * @param {string}  [trackedChanges] Tracked changes mode from the config
+ * @returns {boolean}
  */
-function getTextFormatting(runNode) {
-    const rPr = runNode.getElementsByTagName("w:rPr")[0];
-    if (!rPr) return {};
-    
-    return {
-        bold: !!rPr.getElementsByTagName("w:b")[0],
-        italic: !!rPr.getElementsByTagName("w:i")[0],
-        underline: !!rPr.getElementsByTagName("w:u")[0],
-        strike: !!rPr.getElementsByTagName("w:strike")[0]
-    };
+function isWordParagraphMarkRemoved(paragraphNode, trackedChanges) {
+    const revision = getWordParagraphMarkRevision(paragraphNode);
+    if (!revision || trackedChanges === "annotate")
+        return false;
+    const isDeletion = revision.nodeName === "w:del" || revision.nodeName === "w:moveFrom";
+    return trackedChanges === "reject" ? !isDeletion : isDeletion;
 }
 
-/** Apply Markdown formatting to text based on run properties
- * @param {string} text The text content
- * @param {Object} formatting Formatting information
- * @returns {string} Markdown formatted text
+/** Parse a Word paragraph into Markdown, as a heading, list item, table of contents entry or plain paragraph
+ * @param {Element}     paragraphNode The w:p element
+ * @param {WordContext} context       Word parsing context
+ * @param {string}      [joinedText]  Text of the preceding paragraphs that are joined with this one by a removed paragraph mark
+ * @returns {string | undefined} Markdown text of the paragraph or undefined if it holds no text
  */
-function applyMarkdownFormatting(text, formatting) {
-    let result = text;
-    
-    if (formatting.bold && formatting.italic) {
-        result = `***${result}***`;
-    } else if (formatting.bold) {
-        result = `**${result}**`;
-    } else if (formatting.italic) {
-        result = `*${result}*`;
+function parseWordParagraph(paragraphNode, context, joinedText = "") {
+    const listState = context.listState;
+    const pStyle = getParagraphStyle(paragraphNode, context.styleMap, context.config.trackedChanges);
+
+    // Table of contents entries become a linked list, without the page numbers that mean nothing in Markdown.
+    if (pStyle.tocLevel) {
+        const entryText = getWordRunsText(paragraphNode, { ...context, isTableOfContents: true }).trim();
+        if (!entryText)
+            return undefined;
+        listState.depth = -1;
+        return `${"    ".repeat(pStyle.tocLevel - 1)}- ${entryText}`;
     }
-    
-    if (formatting.strike) {
-        result = `~~${result}~~`;
+
+    let formattedText = joinedText + getWordRunsText(paragraphNode, context);
+    if (!formattedText.trim())
+        return undefined;
+
+    // Annotating tracked changes marks changed paragraph properties on the whole paragraph and an inserted or deleted paragraph mark at its end.
+    if (context.config.trackedChanges === "annotate") {
+        const pPr = getChildElements(paragraphNode, "w:pPr")[0];
+        const pPrChange = pPr ? getChildElements(pPr, "w:pPrChange")[0] : undefined;
+        if (pPrChange)
+            formattedText = applyRevisionAnnotation(formattedText, "span", pPrChange);
+        const markRevision = getWordParagraphMarkRevision(paragraphNode);
+        if (markRevision)
+            formattedText += applyRevisionAnnotation("¶", markRevision.nodeName === "w:ins" || markRevision.nodeName === "w:moveTo" ? "ins" : "del", markRevision);
     }
-    
-    // Note: Markdown doesn't have native underline support
-    // You could use HTML tags if needed: <u>text</u>
-    
-    return result;
-}
 
-/** Apply paragraph-level formatting (headers)
- * @param {string} text The paragraph text
- * @param {Object} style Style information
- * @returns {string} Formatted paragraph
- */
-function applyParagraphFormatting(text, style) {
-    if (style.isHeading && style.headingLevel) {
-        const headerPrefix = '#'.repeat(Math.min(style.headingLevel, 6));
-        return `${headerPrefix} ${text}`;
+    // Other paragraphs of a table of contents, like its title, stay plain text so that they do not repeat a heading of the document.
+    if (context.isTableOfContents) {
+        listState.depth = -1;
+        return formattedText;
     }
-    
-    return text;
+
+    const numbering = getParagraphNumbering(paragraphNode, pStyle, context.config.trackedChanges);
+    const listItem = numbering ? nextListItem(numbering, context.numberingMap, listState) : undefined;
+    if (listItem && !pStyle.isHeading)
+        return applyListFormatting(formattedText, listItem, listState);
+
+    listState.depth = -1;
+    // Numbered headings keep their label as part of the heading text.
+    return applyParagraphFormatting(listItem && !listItem.isBullet ? `${listItem.label} ${formattedText}` : formattedText, pStyle);
 }
 
-/** Main function for parsing text from PowerPoint files
- * @param {string | Buffer}    file     File path or Buffers
- * @param {function}           callback Callback function that returns value or error
- * @param {OfficeParserConfig} config   Config Object for officeParser
+/** Collect the distinct headers and footers referenced by the sections (w:sectPr) of a Word document
+ * @param {Document}    doc               The parsed document xml
+ * @param {Object}      headerFooterParts Header and footer parts with their content and relationships keyed by their path
+ * @param {boolean}     evenAndOddHeaders Flag whether even page headers are turned on in the document settings
+ * @param {WordContext} context           Word parsing context
+ * @param {{ header: string[], footer: string[] }} headersFooters Distinct header and footer texts, new ones get pushed to it
  * @returns {void}
  */
-function parsePowerPoint(file, callback, config) {
-    // Files regex that hold our content of interest
-    const allFilesRegex = /ppt\/(notesSlides|slides)\/(notesSlide|slide)\d+.xml/g;
-    const slidesRegex   = /ppt\/slides\/slide\d+.xml/g;
-    const slideNumberRegex = /lide(\d+)\.xml/;
+function collectWordHeadersFooters(doc, headerFooterParts, evenAndOddHeaders, context, headersFooters) {
+    const documentRelationships = context.relationships;
 
-    extractFiles(file, x => !!x.match(config.ignoreNotes ? slidesRegex : allFilesRegex))
-        .then(files => {
-            // Sort files by slide number and their notes (if any).
-            files.sort((a, b) => {
-                const matchedANumber = parseInt(a.path.match(slideNumberRegex)?.at(1), 10);
-                const matchedBNumber = parseInt(b.path.match(slideNumberRegex)?.at(1), 10);
+    Array.from(doc.getElementsByTagName("w:sectPr"))
+        // The previous properties of a tracked section change are not part of the document.
+        .filter(sectPr => sectPr.parentNode?.nodeName !== "w:sectPrChange")
+        .forEach(sectPr => {
+            // First page headers only show up with a title page, even page headers only with even and odd headers turned on.
+            const hasTitlePage = getChildElements(sectPr, "w:titlePg").length > 0 && getChildElements(sectPr, "w:titlePg")[0].getAttribute("w:val") !== "0";
+            const variantOrder = ["first", "default", "even"]
+                .filter(variant => (variant !== "first" || hasTitlePage) && (variant !== "even" || evenAndOddHeaders));
 
-                const aNumber = isNaN(matchedANumber) ? Infinity : matchedANumber;
-                const bNumber = isNaN(matchedBNumber) ? Infinity : matchedBNumber;
+            ["header", "footer"].forEach(type => {
+                const references = getChildElements(sectPr, `w:${type}Reference`);
+                variantOrder.forEach(variant => {
+                    const reference = references.find(reference => (reference.getAttribute("w:type") || "default") === variant);
+                    const part = reference ? headerFooterParts[documentRelationships[reference.getAttribute("r:id")]?.path] : undefined;
+                    if (!part) return;
 
-                return aNumber - bNumber || Number(a.path.includes('notes')) - Number(b.path.includes('notes'));
+                    /** @type {string[]} */
+                    const blocks = [];
+                    const root = parseString(part.content).documentElement;
+                    // Hyperlinks resolve against the header part and its lists are numbered on their own.
+                    parseWordBlocks(root, { ...context, relationships: part.relationships, listState: createListState() }, blocks);
+
+                    const text = blocks.map(block => block.trim()).filter(block => block).join(context.config.newlineDelimiter ?? "\n");
+                    if (text && !headersFooters[type].includes(text))
+                        headersFooters[type].push(text);
+                });
             });
+        });
+}
 
-            // Verify if atleast the slides xml files exist in the extracted files list.
-            if (files.length == 0 || !files.map(file => file.path).some(filename => filename.match(slidesRegex)))
-                throw ERRORMSG.fileCorrupted(file);
+/** Find the text box contents (w:txbxContent) of the shapes and drawings within an element, without the ones nested in another text box
+ * @param {Element} node The element to search in, like a w:p
+ * @returns {Element[]} The w:txbxContent elements in document order
+ */
+function getWordTextBoxes(node) {
+    /** @type {Element[]} */
+    const textBoxes = [];
+    Array.from(node.childNodes).forEach(childNode => {
+        if (childNode.nodeType !== 1) return;
+        /** @type {Element} */
+        // @ts-ignore
+        const child = childNode;
 
-            // Check if any sorting is required.
-            if (!config.ignoreNotes && config.putNotesAtLast)
-                // Sort files according to previous order of taking text out of ppt/slides followed by ppt/notesSlides
-                // For this we are looking at the index of notes which results in -1 in the main slide file and exists at a certain index in notes file names.
-                files.sort((a, b) => a.path.indexOf("notes") - b.path.indexOf("notes"));
+        if (child.nodeName === "w:txbxContent")
+            textBoxes.push(child);
+        else if (child.nodeName === "mc:AlternateContent") {
+            // Only one of the alternatives is shown, the others hold the same text box in an older format.
+            const alternateContent = getAlternateContent(child);
+            if (alternateContent)
+                textBoxes.push(...getWordTextBoxes(alternateContent));
+        }
+        else
+            textBoxes.push(...getWordTextBoxes(child));
+    });
+    return textBoxes;
+}
 
-            // Returning an array of all the xml contents read using fs.readFileSync
-            return files.map(file => ({ content: file.content, path: file.path }));
-        })
-        // ******************************** powerpoint xml files explanation ************************************
-        // Structure of xmlContent of a powerpoint file is simple.
-        // There are multiple xml files for each slide and correspondingly their notesSlide files.
-        // All text nodes are within a:t tags and each of the text nodes that belong in one paragraph are clubbed together within a a:p tag.
-        // So, we will filter out all the empty a:p tags and then combine all the a:t tag text inside for creating our response text.
-        // ******************************************************************************************************
-        .then(xmlContentArray => {
-            /** Store all the markdown content to respond */
-            let markdownContent = [];
-            let currentSlideNumber = 0;
-            let isProcessingNotes = false;
+/** @typedef {Object} WordContext
+ * @property {Object}             styleMap       Style mapping object
+ * @property {Object}             numberingMap   Numbering mapping object
+ * @property {Object}             listState      List state created by createListState
+ * @property {Object}             notesMap       Footnote and endnote elements keyed by their type and id
+ * @property {{ type: string, id: string, label: number, text: string }[]} noteReferences Notes referenced so far in document order
+ * @property {Object<string, Relationship>} relationships Relationships of the part currently being parsed
+ * @property {Set<string>}        bookmarkTargets Bookmark names that hyperlinks point to
+ * @property {Object<string, WordComment>} commentsMap Comments keyed by their id
+ * @property {boolean}            [isTableOfContents] Flag whether the element being parsed belongs to a table of contents
+ * @property {boolean}            [isHtml]       Flag whether the text being parsed goes into an html table, which needs its text escaped
+ * @property {OfficeParserConfig} config         Config Object for officeParser
+ */
 
-            xmlContentArray.forEach(xmlContentObj => {
-                const { content: xmlContent, path } = xmlContentObj;
-                
-                // Extract slide number from path
-                const slideMatch = path.match(slideNumberRegex);
-                const slideNumber = slideMatch ? parseInt(slideMatch[1], 10) : 0;
-                
-                // Check if this is a notes slide
-                const isNotesSlide = path.includes('notes');
-                
-                // If we're starting a new slide (not notes), add slide header
-                if (!isNotesSlide && slideNumber !== currentSlideNumber) {
-                    currentSlideNumber = slideNumber;
-                    markdownContent.push(`\n## 幻灯片 ${slideNumber}\n`);
-                    isProcessingNotes = false;
-                }
-                
-                // If this is a notes slide and we haven't added notes header yet
-                if (isNotesSlide && !isProcessingNotes) {
-                    markdownContent.push(`\n### 备注\n`);
-                    isProcessingNotes = true;
-                }
+/** Parse footnotes.xml or endnotes.xml files into a map of note elements
+ * @param {{ path: string, content: string }[]} notesFiles The notes files
+ * @param {string}   noteTagName          Either w:footnote or w:endnote
+ * @param {(partPath: string) => Object<string, Relationship>} getPartRelationships Function returning the relationships of a part
+ * @returns {Object} Note elements and the relationships of their part keyed by their id
+ */
+function parseWordNotes(notesFiles, noteTagName, getPartRelationships) {
+    const notes = {};
+    notesFiles.forEach(notesFile => {
+        const relationships = getPartRelationships(notesFile.path);
+        Array.from(parseString(notesFile.content).getElementsByTagName(noteTagName))
+            // Separator and continuation notes only hold the line drawn above the notes.
+            .filter(note => !["separator", "continuationSeparator", "continuationNotice"].includes(note.getAttribute("w:type")))
+            .forEach(note => notes[note.getAttribute("w:id")] = { element: note, relationships: relationships });
+    });
+    return notes;
+}
 
-                /** Find text nodes with a:p tags */
-                const xmlParagraphNodesList = parseString(xmlContent).getElementsByTagName("a:p");
-                
-                /** Extract and format paragraph content */
-                const paragraphContent = Array.from(xmlParagraphNodesList)
-                    // Filter paragraph nodes than do not have any text nodes which are identifiable by a:t tag
-                    .filter(paragraphNode => paragraphNode.getElementsByTagName("a:t").length != 0)
-                    .map(paragraphNode => {
-                        /** Find text nodes with a:t tags */
-                        const xmlTextNodeList = paragraphNode.getElementsByTagName("a:t");
-                        const paragraphText = Array.from(xmlTextNodeList)
-                                .filter(textNode => textNode.childNodes[0] && textNode.childNodes[0].nodeValue)
-                                .map(textNode => textNode.childNodes[0].nodeValue)
-                                .join("");
-                        
-                        // Format as markdown list item if it's slide content (not notes)
-                        return isNotesSlide ? paragraphText : `- ${paragraphText}`;
-                    })
-                    .join(config.newlineDelimiter ?? "\n");
-                
-                if (paragraphContent.trim()) {
-                    markdownContent.push(paragraphContent);
-                }
-            });
+/** Collect the Markdown text of all runs within a Word element in document order
+ * @param {Element}     node    The w:p element or any element holding runs
+ * @param {WordContext} context Word parsing context
+ * @returns {string} Markdown formatted text
+ */
+function getWordRunsText(node, context) {
+    /** Complex fields (w:fldChar begin/separate/end) that are currently open, innermost last. */
+    const openFields = [];
+    let text = "";
 
-            // Join all markdown content and clean up extra newlines
-            const finalMarkdown = markdownContent
-                .join(config.newlineDelimiter ?? "\n")
-                .replace(/\n{3,}/g, '\n\n') // Replace multiple newlines with double newlines
-                .trim();
+    /** Append text either to the result of the innermost open field or to the paragraph text. */
+    const output = (value) => {
+        const field = openFields[openFields.length - 1];
+        if (!field)
+            text += value;
+        else if (field.isResult)
+            field.result += value;
+    };
 
-            // Respond by calling the Callback function with markdown content
-            callback(finalMarkdown, undefined);
-        })
-        .catch(e => callback(undefined, e));
+    const walk = (parentNode) => {
+        Array.from(parentNode.childNodes).forEach(childNode => {
+            if (childNode.nodeType !== 1) return;
+            /** @type {Element} */
+            // @ts-ignore
+            const child = childNode;
+
+            switch (child.nodeName) {
+                case "w:t":
+                case "w:delText":
+                    // Deleted text is only reached when deletions are rejected or annotated.
+                    if (child.childNodes[0] && child.childNodes[0].nodeValue) {
+                        const runNode = /** @type {Element | null} */ (child.parentNode);
+                        const formatting = runNode ? getTextFormatting(runNode, context) : {};
+                        const runText = applyMarkdownFormatting(context.isHtml ? escapeHtml(child.childNodes[0].nodeValue) : child.childNodes[0].nodeValue, formatting);
+                        // Annotating tracked changes marks text whose run formatting was changed.
+                        const rPr = runNode && context.config.trackedChanges === "annotate" ? getChildElements(runNode, "w:rPr")[0] : undefined;
+                        const rPrChange = rPr ? getChildElements(rPr, "w:rPrChange")[0] : undefined;
+                        output(rPrChange ? applyRevisionAnnotation(runText, "span", rPrChange) : runText);
+                    }
+                    break;
+                case "w:ins":
+                case "w:moveTo":
+                    if (context.config.trackedChanges === "annotate")
+                        output(applyRevisionAnnotation(getWordRunsText(child, context), "ins", child));
+                    else if (context.config.trackedChanges !== "reject")
+                        walk(child);
+                    break;
+                case "w:del":
+                case "w:moveFrom":
+                    if (context.config.trackedChanges === "annotate")
+                        output(applyRevisionAnnotation(getWordRunsText(child, context), "del", child));
+                    else if (context.config.trackedChanges === "reject")
+                        walk(child);
+                    break;
+                case "w:rPr":
+                case "w:pPr":
+                case "w:sdtPr":
+                case "w:sdtEndPr":
+                    // Run, paragraph and content control properties hold no text, only the formatting (and its tracked changes).
+                    break;
+                case "w:txbxContent":
+                    // Text boxes are parsed as blocks of their own after the paragraph.
+                    break;
+                case "mc:AlternateContent": {
+                    const alternateContent = getAlternateContent(child);
+                    if (alternateContent)
+                        walk(alternateContent);
+                    break;
+                }
+                case "m:oMathPara":
+                    // Display equations, a paragraph of them can hold several.
+                    output(getChildElements(child, "m:oMath").map(math => `$$${context.isHtml ? escapeHtml(ommlToLatex(math)) : ommlToLatex(math)}$$`).join("\n"));
+                    break;
+                case "m:oMath":
+                    output(`$${context.isHtml ? escapeHtml(ommlToLatex(child)) : ommlToLatex(child)}$`);
+                    break;
+                case "w:footnoteReference":
+                case "w:endnoteReference":
+                    output(getWordNoteReference(child.nodeName === "w:footnoteReference" ? "footnote" : "endnote", child.getAttribute("w:id"), context));
+                    break;
+                case "w:commentReference":
+                    // The reference run follows the end of the commented range. Replies are shown within their thread.
+                    if (context.config.comments === "inline") {
+                        const comment = context.commentsMap[child.getAttribute("w:id")];
+                        if (comment && comment.parentId === undefined)
+                            output(` [批注: ${[comment, ...comment.replies].map(threadComment => getWordCommentText(threadComment, context)).join(" / ")}]`);
+                    }
+                    break;
+                case "w:bookmarkStart":
+                    // Only bookmarks that are linked to get an anchor, the rest (like _GoBack) would only be noise.
+                    if (context.bookmarkTargets.has(child.getAttribute("w:name")))
+                        output(`<a id="${child.getAttribute("w:name")}"></a>`);
+                    break;
+                case "w:hyperlink": {
+                    const relationship = context.relationships[child.getAttribute("r:id")];
+                    const anchor = child.getAttribute("w:anchor");
+                    const linkText = getWordRunsText(child, context);
+                    output(applyMarkdownLink(linkText, relationship?.isExternal ? relationship.target : undefined, anchor));
+                    break;
+                }
+                case "w:fldSimple": {
+                    const linkText = getWordRunsText(child, context);
+                    const hyperlink = parseHyperlinkInstruction(child.getAttribute("w:instr") ?? "");
+                    output(hyperlink ? applyMarkdownLink(linkText, hyperlink.url, hyperlink.anchor) : linkText);
+                    break;
+                }
+                case "w:fldChar":
+                    switch (child.getAttribute("w:fldCharType")) {
+                        case "begin":
+                            openFields.push({ instruction: "", result: "", isResult: false });
+                            break;
+                        case "separate":
+                            if (openFields.length > 0)
+                                openFields[openFields.length - 1].isResult = true;
+                            break;
+                        case "end": {
+                            const field = openFields.pop();
+                            if (!field) break;
+                            // Page numbers of a table of contents mean nothing without pages.
+                            if (context.isTableOfContents && /^\s*PAGEREF\b/i.test(field.instruction)) break;
+                            const hyperlink = parseHyperlinkInstruction(field.instruction);
+                            output(hyperlink ? applyMarkdownLink(field.result, hyperlink.url, hyperlink.anchor) : field.result);
+                            break;
+                        }
+                    }
+                    break;
+                case "w:instrText":
+                case "w:delInstrText":
+                    if (openFields.length > 0 && !openFields[openFields.length - 1].isResult)
+                        openFields[openFields.length - 1].instruction += child.childNodes[0]?.nodeValue ?? "";
+                    break;
+                default:
+                    walk(child);
+            }
+        });
+    };
+
+    walk(node);
+
+    // Fields left open at the end of the element still show their result.
+    openFields.forEach(field => text += field.result);
+
+    return text;
+}
+
+/** @typedef {Object} WordComment
+ * @property {Element}       element       The w:comment element
+ * @property {Object<string, Relationship>} relationships Relationships of the comments part
+ * @property {string}        author        Author of the comment
+ * @property {string}        date          Date of the comment
+ * @property {boolean}       resolved      Flag whether the comment thread is marked as done
+ * @property {string}        [parentId]    Id of the comment this one replies to
+ * @property {WordComment[]} replies       Replies to this comment in their order
+ * @property {string}        anchorText    Text of the document the comment is anchored to
+ */
+
+/** Parse comments.xml and commentsExtended.xml into a map of comments with their reply threads
+ * @param {string}             commentsXml         The comments.xml content
+ * @param {string | undefined} commentsExtendedXml The commentsExtended.xml content holding the replies and resolved state
+ * @param {Object<string, Relationship>} relationships Relationships of the comments part
+ * @returns {Object<string, WordComment>} Comments keyed by their id
+ */
+function parseWordComments(commentsXml, commentsExtendedXml, relationships) {
+    /** @type {Object<string, WordComment>} */
+    const commentsMap = {};
+    /** Comment ids keyed by the paraId of their last paragraph, which is how commentsExtended.xml refers to them */
+    const commentIdsByParaId = {};
+
+    Array.from(parseString(commentsXml).getElementsByTagName("w:comment")).forEach(commentNode => {
+        const id = commentNode.getAttribute("w:id");
+        commentsMap[id] = {
+            element: commentNode,
+            relationships: relationships,
+            author: commentNode.getAttribute("w:author") ?? "",
+            date: commentNode.getAttribute("w:date") ?? "",
+            resolved: false,
+            parentId: undefined,
+            replies: [],
+            anchorText: ""
+        };
+
+        const paragraphs = commentNode.getElementsByTagName("w:p");
+        const paraId = paragraphs[paragraphs.length - 1]?.getAttribute("w14:paraId");
+        if (paraId)
+            commentIdsByParaId[paraId] = id;
+    });
+
+    if (commentsExtendedXml != undefined) {
+        Array.from(parseString(commentsExtendedXml).getElementsByTagName("w15:commentEx")).forEach(commentEx => {
+            const comment = commentsMap[commentIdsByParaId[commentEx.getAttribute("w15:paraId")]];
+            if (!comment) return;
+
+            comment.resolved = commentEx.getAttribute("w15:done") == "1";
+            const parentId = commentIdsByParaId[commentEx.getAttribute("w15:paraIdParent")];
+            if (parentId !== undefined && commentsMap[parentId]) {
+                comment.parentId = parentId;
+                commentsMap[parentId].replies.push(comment);
+            }
+        });
+    }
+
+    return commentsMap;
+}
+
+/** Collect the plain text between the w:commentRangeStart and w:commentRangeEnd of every comment of a document
+ * @param {Document} doc The parsed document xml
+ * @param {Object<string, WordComment>} commentsMap Comments keyed by their id, their anchorText gets filled
+ * @returns {void}
+ */
+function setWordCommentAnchors(doc, commentsMap) {
+    /** Ids of the comment ranges that are currently open */
+    const openIds = new Set();
+
+    const walk = (node) => {
+        Array.from(node.childNodes).forEach(childNode => {
+            if (childNode.nodeType !== 1) return;
+            /** @type {Element} */
+            // @ts-ignore
+            const child = childNode;
+
+            if (child.nodeName === "w:commentRangeStart")
+                openIds.add(child.getAttribute("w:id"));
+            else if (child.nodeName === "w:commentRangeEnd")
+                openIds.delete(child.getAttribute("w:id"));
+            else if (child.nodeName === "w:t")
+                openIds.forEach(id => {
+                    if (commentsMap[id])
+                        commentsMap[id].anchorText += child.childNodes[0]?.nodeValue ?? "";
+                });
+            else {
+                walk(child);
+                // Ranges spanning several paragraphs get a space between them.
+                if (child.nodeName === "w:p")
+                    openIds.forEach(id => {
+                        if (commentsMap[id])
+                            commentsMap[id].anchorText += " ";
+                    });
+            }
+        });
+    };
+
+    walk(doc);
+}
+
+/** Render a single comment with its author, date and resolved state
+ * @param {WordComment} comment The comment
+ * @param {WordContext} context Word parsing context
+ * @returns {string} Markdown text of the comment
+ */
+function getWordCommentText(comment, context) {
+    // Hyperlinks within a comment resolve against the relationships of the comments part.
+    const commentContext = { ...context, relationships: comment.relationships };
+    const text = Array.from(comment.element.getElementsByTagName("w:p"))
+        .map(paragraph => getWordRunsText(paragraph, commentContext).trim())
+        .filter(paragraphText => paragraphText)
+        .join(" ");
+
+    const details = [comment.date, comment.resolved ? "已解决" : ""].filter(detail => detail).join(", ");
+    return `**${comment.author}**${details ? ` (${details})` : ""}: ${text}`;
+}
+
+/** Wrap the text of a tracked insertion or deletion into an html ins or del tag carrying its author and date,
+ * and the text of a tracked formatting change into a span tag marked as formatted
+ * @param {string}  text        The inserted, deleted or formatted text
+ * @param {string}  tagName     Either ins, del or span
+ * @param {Element} revisionNode The w:ins, w:del, w:moveTo, w:moveFrom, w:rPrChange or w:pPrChange element
+ * @returns {string} Annotated text
+ */
+function applyRevisionAnnotation(text, tagName, revisionNode) {
+    if (!text) return "";
+
+    const escapeAttribute = (value) => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+    const author = revisionNode.getAttribute("w:author");
+    const date = revisionNode.getAttribute("w:date");
+    const isMove = revisionNode.nodeName === "w:moveTo" || revisionNode.nodeName === "w:moveFrom";
+    const isFormatting = revisionNode.nodeName === "w:rPrChange" || revisionNode.nodeName === "w:pPrChange";
+
+    const title = [isMove ? "moved" : isFormatting ? "formatted" : "", author ?? ""].filter(part => part).join(": ");
+    const attributes = (title ? ` title="${escapeAttribute(title)}"` : "") + (date ? ` datetime="${escapeAttribute(date)}"` : "");
+    return `<${tagName}${attributes}>${text}</${tagName}>`;
+}
+
+/** Collect the names of the bookmarks that hyperlinks of a Word document point to
+ * @param {Document} doc The parsed document xml
+ * @returns {Set<string>} Bookmark names
+ */
+function getWordBookmarkTargets(doc) {
+    const bookmarkTargets = new Set();
+    Array.from(doc.getElementsByTagName("w:hyperlink"))
+        .map(hyperlink => hyperlink.getAttribute("w:anchor"))
+        .filter(anchor => anchor)
+        .forEach(anchor => bookmarkTargets.add(anchor));
+
+    // Instructions of complex fields can be split over several runs, so they are joined per field, innermost field last.
+    const fieldInstructions = Array.from(doc.getElementsByTagName("w:fldSimple")).map(field => field.getAttribute("w:instr") ?? "");
+    const openInstructions = [];
+    Array.from(doc.getElementsByTagName("*")).forEach(element => {
+        if (element.nodeName === "w:instrText" && openInstructions.length > 0)
+            openInstructions[openInstructions.length - 1] += element.childNodes[0]?.nodeValue ?? "";
+        else if (element.nodeName === "w:fldChar" && element.getAttribute("w:fldCharType") === "begin")
+            openInstructions.push("");
+        else if (element.nodeName === "w:fldChar" && element.getAttribute("w:fldCharType") === "end" && openInstructions.length > 0)
+            fieldInstructions.push(openInstructions.pop() ?? "");
+    });
+    [...fieldInstructions, ...openInstructions]
+        .map(instruction => parseHyperlinkInstruction(instruction)?.anchor)
+        .filter(anchor => anchor)
+        .forEach(anchor => bookmarkTargets.add(anchor));
+    return bookmarkTargets;
+}
+
+/** Parse a HYPERLINK field instruction, like HYPERLINK "http://example.com" \l "bookmark"
+ * @param {string} instruction The field instruction
+ * @returns {{ url?: string, anchor?: string } | undefined} The link target or undefined if this is not a hyperlink field
+ */
+function parseHyperlinkInstruction(instruction) {
+    const tokens = instruction.trim().match(/"[^"]*"|\S+/g) ?? [];
+    if (tokens.length == 0 || tokens[0].toUpperCase() != "HYPERLINK")
+        return undefined;
+
+    const unquote = (token) => token?.replace(/^"|"$/g, "");
+    /** @type {{ url?: string, anchor?: string }} */
+    const hyperlink = {};
+    for (let i = 1; i < tokens.length; i++) {
+        if (tokens[i] == "\\l")
+            hyperlink.anchor = unquote(tokens[++i]);
+        // Other switches like \o (tooltip) or \t (target frame) take an argument that is not part of the link.
+        else if (tokens[i].startsWith("\\"))
+            i += ["\\o", "\\t"].includes(tokens[i]) ? 1 : 0;
+        else if (hyperlink.url == undefined)
+            hyperlink.url = unquote(tokens[i]);
+    }
+    return hyperlink.url || hyperlink.anchor ? hyperlink : undefined;
+}
+
+/** Wrap text into a Markdown link
+ * @param {string} text     The link text
+ * @param {string} [url]    External url of the link
+ * @param {string} [anchor] Bookmark within the document
+ * @returns {string} Markdown link, or the text as it is if there is no target or no text
+ */
+function applyMarkdownLink(text, url, anchor) {
+    if (!text.trim() || (!url && !anchor))
+        return text;
+
+    let target = (url ?? "") + (anchor ? `#${anchor}` : "");
+    // Targets with spaces or parentheses would break out of the link syntax.
+    if (/[\s()]/.test(target))
+        target = `<${target}>`;
+    return `[${text}](${target})`;
+}
+
+/** Render a footnote or endnote reference according to the footnotes config
+ * @param {string}      type    Either footnote or endnote
+ * @param {string}      id      The w:id of the note
+ * @param {WordContext} context Word parsing context
+ * @returns {string} Markdown footnote marker, inline note or empty string
+ */
+function getWordNoteReference(type, id, context) {
+    const note = context.notesMap[type][id];
+    if (!note || context.config.footnotes === "ignore")
+        return "";
+
+    // Hyperlinks within a note resolve against the relationships of the notes part.
+    const noteContext = { ...context, relationships: note.relationships };
+    const noteText = () => Array.from(note.element.getElementsByTagName("w:p"))
+        .map(paragraph => getWordRunsText(paragraph, noteContext).trim())
+        .filter(paragraphText => paragraphText)
+        .join(" ");
+
+    if (context.config.footnotes === "inline")
+        return `^[${noteText()}]`;
+
+    // The same note can be referenced more than once, it keeps the label it got first.
+    let reference = context.noteReferences.find(reference => reference.type === type && reference.id === id);
+    if (!reference) {
+        reference = { type: type, id: id, label: context.noteReferences.length + 1, text: "" };
+        context.noteReferences.push(reference);
+        reference.text = noteText();
+    }
+    return `[^${reference.label}]`;
+}
+
+/** Parse Word table and convert to Markdown table
+ * @param  tableElement The w:tbl element
+ * @param {WordContext} context Word parsing context
+ * @returns {string} Markdown formatted table
+ */
+function parseWordTable(tableElement, context) {
+    const { rows, headerRowCount, columnCount } = layoutWordTable(tableElement, context);
+    return renderMarkdownTable(rows, headerRowCount, columnCount, context.config);
+}
+
+/** Lay out the cells of a Word table on its grid, resolving column spans (w:gridSpan, w:hMerge) and vertical merges (w:vMerge)
+ * @param {Element}     tableElement The w:tbl element
+ * @param {WordContext} context      Word parsing context
+ * @returns {{ rows: TableCell[][], headerRowCount: number, columnCount: number }} Grid of cells, some positions may be empty
+ */
+function layoutWordTable(tableElement, context) {
+    const tblGrid = getChildElements(tableElement, "w:tblGrid")[0];
+    let columnCount = tblGrid ? getChildElements(tblGrid, "w:gridCol").length : 0;
+
+    /** @type {TableCell[][]} */
+    const rows = [];
+    /** Cells that started a vertical merge, keyed by their grid column */
+    const verticalOrigins = {};
+    let headerRowCount = 0;
+    let isLeadingHeader = true;
+
+    // 解析所有行
+    getWordTableChildren(tableElement, "w:tr").forEach(row => {
+        // Rows inserted or deleted as a tracked change only exist in one version of the document.
+        const trPr = getChildElements(row, "w:trPr")[0];
+        if (trPr && getChildElements(trPr, context.config.trackedChanges === "reject" ? "w:ins" : "w:del").length > 0 && context.config.trackedChanges !== "annotate")
+            return;
+
+        const getTrPrVal = (tagName) => trPr ? getChildElements(trPr, tagName)[0]?.getAttribute("w:val") : undefined;
+
+        /** @type {TableCell[]} */
+        const rowData = [];
+        // Grid columns skipped before the first cell of the row.
+        let col = parseInt(getTrPrVal("w:gridBefore") ?? "0", 10);
+        /** @type {TableCell | undefined} */
+        let horizontalOrigin = undefined;
+
+        getWordTableChildren(row, "w:tc").forEach(cell => {
+            const tcPr = getChildElements(cell, "w:tcPr")[0];
+            const getTcPr = (tagName) => tcPr ? getChildElements(tcPr, tagName)[0] : undefined;
+
+            const colSpan = Math.max(parseInt(getTcPr("w:gridSpan")?.getAttribute("w:val") ?? "1", 10), 1);
+            const vMerge = getTcPr("w:vMerge");
+            const hMerge = getTcPr("w:hMerge");
+
+            /** @type {TableCell} */
+            let tableCell;
+            if (vMerge && vMerge.getAttribute("w:val") !== "restart" && verticalOrigins[col]) {
+                // Continuation of a vertically merged cell.
+                tableCell = { text: "", colSpan: colSpan, rowSpan: 1, origin: verticalOrigins[col] };
+                verticalOrigins[col].rowSpan++;
+            }
+            else if (hMerge && hMerge.getAttribute("w:val") !== "restart" && horizontalOrigin) {
+                // Continuation of a legacy horizontally merged cell.
+                tableCell = { text: "", colSpan: colSpan, rowSpan: 1, origin: horizontalOrigin };
+                horizontalOrigin.colSpan += colSpan;
+            }
+            else {
+                tableCell = { text: getWordCellText(cell, context), colSpan: colSpan, rowSpan: 1 };
+                if (vMerge)
+                    verticalOrigins[col] = tableCell;
+                else
+                    delete verticalOrigins[col];
+                horizontalOrigin = hMerge ? tableCell : undefined;
+            }
+
+            rowData[col] = tableCell;
+            // Grid columns spanned by the cell are covered by it.
+            for (let spanned = 1; spanned < colSpan; spanned++)
+                rowData[col + spanned] = { text: "", colSpan: 1, rowSpan: 1, origin: tableCell.origin ?? tableCell };
+            col += colSpan;
+        });
+
+        if (rowData.length > 0) {
+            rows.push(rowData);
+            columnCount = Math.max(columnCount, rowData.length);
+
+            isLeadingHeader = isLeadingHeader && !!trPr && getChildElements(trPr, "w:tblHeader").length > 0 && getTrPrVal("w:tblHeader") !== "0" && getTrPrVal("w:tblHeader") !== "false";
+            if (isLeadingHeader)
+                headerRowCount++;
+        }
+    });
+
+    // Without repeating header rows the first row is the header, as Markdown tables need one.
+    if (headerRowCount === 0 && rows.length > 0)
+        headerRowCount = 1;
+
+    return { rows: rows, headerRowCount: headerRowCount, columnCount: columnCount };
+}
+
+/** Get the rows of a table or the cells of a row, including the ones wrapped in content controls or custom xml
+ * @param {Element} parentElement The w:tbl or w:tr element
+ * @param {string}  tagName       Either w:tr or w:tc
+ * @returns {Element[]}
+ */
+function getWordTableChildren(parentElement, tagName) {
+    return Array.from(parentElement.childNodes)
+        .filter(child => child.nodeType === 1)
+        .flatMap(childNode => {
+            /** @type {Element} */
+            // @ts-ignore
+            const child = childNode;
+            if (child.nodeName === tagName)
+                return [child];
+            if (child.nodeName === "w:sdt")
+                return getChildElements(child, "w:sdtContent").flatMap(sdtContent => getWordTableChildren(sdtContent, tagName));
+            if (child.nodeName === "w:customXml")
+                return getWordTableChildren(child, tagName);
+            return [];
+        });
+}
+
+/** Get the Markdown text of a table cell, with nested tables rendered according to the nestedTables config
+ * @param {Element}     cell    The w:tc element
+ * @param {WordContext} context Word parsing context
+ * @returns {string} Text of the cell on a single line
+ */
+function getWordCellText(cell, context) {
+    const cellContent = [];
+
+    // 获取单元格中的所有段落和嵌套表格
+    Array.from(cell.childNodes).forEach(childNode => {
+        if (childNode.nodeType !== 1) return;
+        /** @type {Element} */
+        // @ts-ignore
+        const child = childNode;
+
+        if (child.nodeName === "w:p") {
+            const paragraphText = getWordRunsText(child, context);
+            if (paragraphText.trim()) {
+                cellContent.push(paragraphText.trim());
+            }
+            getWordTextBoxes(child).forEach(textBox => {
+                const textBoxText = getWordCellText(textBox, context);
+                if (textBoxText)
+                    cellContent.push(textBoxText);
+            });
+        }
+        else if (child.nodeName === "w:tbl") {
+            const nestedTable = context.config.nestedTables === "html"
+                ? renderWordTableHtml(child, context)
+                : flattenWordTable(child, context);
+            if (nestedTable)
+                cellContent.push(nestedTable);
+        }
+        else if (child.nodeName === "w:sdt" || child.nodeName === "w:sdtContent" || child.nodeName === "w:customXml") {
+            const wrappedText = getWordCellText(child, context);
+            if (wrappedText)
+                cellContent.push(wrappedText);
+        }
+    });
+
+    // 将单元格内容用空格连接
+    return cellContent.join(" ");
+}
+
+/** Render a nested Word table as a single line html table that fits into a Markdown table cell
+ * @param {Element}     tableElement The w:tbl element
+ * @param {WordContext} context      Word parsing context
+ * @returns {string} Html table
+ */
+function renderWordTableHtml(tableElement, context) {
+    const { rows } = layoutWordTable(tableElement, { ...context, isHtml: true });
+    if (rows.length === 0) return "";
+
+    const htmlRows = rows.map(row => {
+        const htmlCells = row
+            // Positions covered by a merged cell are part of its colspan or rowspan.
+            .filter(cell => cell && !cell.origin)
+            .map(cell => {
+                const attributes = (cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : "") + (cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : "");
+                // The text is escaped as html while parsing it, its pipes are escaped with the Markdown table cell holding the html table.
+                return `<td${attributes}>${cell.text}</td>`;
+            });
+        return `<tr>${htmlCells.join("")}</tr>`;
+    });
+    return `<table>${htmlRows.join("")}</table>`;
+}
+
+/** Escape the characters of text that have a meaning in html
+ * @param {string} text The text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/** Flatten a nested Word table into text that fits into a Markdown table cell, one line per row
+ * @param {Element}     tableElement The w:tbl element
+ * @param {WordContext} context      Word parsing context
+ * @returns {string} Flattened table text
+ */
+function flattenWordTable(tableElement, context) {
+    const { rows } = layoutWordTable(tableElement, context);
+    return rows
+        .map(row => row.filter(cell => cell && !cell.origin && cell.text).map(cell => cell.text).join(" "))
+        .filter(rowText => rowText)
+        .join("<br>");
+}
+
+/** Localized display names of the built-in heading styles, followed by their level, as written by non-English Word versions and other editors */
+const WORD_HEADING_STYLE_NAME = /^(?:heading|标题|標題|überschrift|titre|título|titolo|kop|nagłówek|заголовок|見出し|제목|rubrik|otsikko|overskrift|nadpis|başlık)\s*(\d)$/i;
+/** Localized display names of the built-in title style */
+const WORD_TITLE_STYLE_NAME = /^(?:title|标题|標題|titel|titre|título|titolo|titul|заголовок|表題|제목)$/i;
+
+/** Parse the run properties that map to Markdown emphasis. Only properties present in the element are returned, so that they can override inherited ones.
+ * @param {Element | undefined} rPr The w:rPr element
+ * @returns {{ bold?: boolean, italic?: boolean, underline?: boolean, strike?: boolean }} Formatting information
+ */
+function parseRunProperties(rPr) {
+    /** @type {{ bold?: boolean, italic?: boolean, underline?: boolean, strike?: boolean }} */
+    const formatting = {};
+    if (!rPr) return formatting;
+
+    // Toggle properties are turned off again by w:val="0", "false" or "off".
+    const isOn = (/** @type {Element} */ element) => !/^(?:0|false|off)$/i.test(element.getAttribute("w:val") || "");
+    const getProperty = (/** @type {string} */ tagName) => getChildElements(rPr, tagName)[0];
+
+    const bold = getProperty("w:b");
+    if (bold) formatting.bold = isOn(bold);
+    const italic = getProperty("w:i");
+    if (italic) formatting.italic = isOn(italic);
+    const underline = getProperty("w:u");
+    if (underline) formatting.underline = underline.getAttribute("w:val") !== "none";
+    const strike = getProperty("w:strike") || getProperty("w:dstrike");
+    if (strike) formatting.strike = isOn(strike);
+
+    return formatting;
+}
+
+/** Parse styles.xml to create a style mapping.
+ * Heading levels come from w:outlineLvl, the built-in style ids and names (including localized ones) and are otherwise inherited through w:basedOn,
+ * like numbering and run formatting. The run formatting of the document defaults (w:docDefaults) lies beneath all paragraph styles.
+ * The style of paragraphs without a w:pStyle, the default paragraph style or else the document defaults, is kept under the empty style id.
+ * @param {string} stylesXml The styles.xml content
+ * @returns {Object} Style mapping object
+ */
+function parseStyles(stylesXml) {
+    const styleMap = {};
+    const doc = parseString(stylesXml);
+    const styles = doc.getElementsByTagName("w:style");
+
+    const docDefaults = doc.getElementsByTagName("w:docDefaults")[0];
+    const defaultRPr = docDefaults?.getElementsByTagName("w:rPrDefault")[0]?.getElementsByTagName("w:rPr")[0];
+    const defaultOutlineLevel = docDefaults?.getElementsByTagName("w:pPrDefault")[0]?.getElementsByTagName("w:outlineLvl")[0];
+    const defaultFormatting = parseRunProperties(defaultRPr);
+    let defaultStyleId = undefined;
+    
+    Array.from(styles).forEach(style => {
+        const styleId = style.getAttribute("w:styleId");
+        const styleName = getChildElements(style, "w:name")[0]?.getAttribute("w:val") || "";
+        const styleType = style.getAttribute("w:type");
+        
+        if (styleId) {
+            if (styleType === "paragraph" && ["1", "true", "on"].includes(style.getAttribute("w:default") || ""))
+                defaultStyleId = styleId;
+
+            styleMap[styleId] = {
+                name: styleName,
+                type: styleType,
+                formatting: parseRunProperties(getChildElements(style, "w:rPr")[0])
+            };
+            
+            // Table of contents entries use the built-in "toc N" styles.
+            const tocMatch = styleName.match(/^toc\s*(\d)$/i);
+            if (tocMatch)
+                styleMap[styleId].tocLevel = parseInt(tocMatch[1], 10);
+
+            // Extract heading level of paragraph styles, 0 marks a style that is explicitly body text
+            const pPr = getChildElements(style, "w:pPr")[0];
+            const outlineLevel = pPr && getChildElements(pPr, "w:outlineLvl")[0];
+            const headingMatch = styleName.match(WORD_HEADING_STYLE_NAME) || styleId.match(/^heading(\d)$/i);
+            if (styleType && styleType !== "paragraph") {
+                styleMap[styleId].headingLevel = 0;
+            } else if (outlineLevel) {
+                const level = parseInt(outlineLevel.getAttribute("w:val") || "", 10);
+                styleMap[styleId].headingLevel = level >= 0 && level < 9 ? level + 1 : 0;
+            } else if (headingMatch) {
+                styleMap[styleId].headingLevel = parseInt(headingMatch[1], 10);
+            } else if (WORD_TITLE_STYLE_NAME.test(styleName) || styleId === "Title") {
+                styleMap[styleId].headingLevel = 1;
+            }
+
+            // List styles carry their numbering in w:pPr/w:numPr, possibly only through w:basedOn.
+            const basedOn = getChildElements(style, "w:basedOn")[0];
+            if (basedOn)
+                styleMap[styleId].basedOn = basedOn.getAttribute("w:val");
+
+            const numPr = style.getElementsByTagName("w:numPr")[0];
+            if (numPr) {
+                styleMap[styleId].numId = numPr.getElementsByTagName("w:numId")[0]?.getAttribute("w:val");
+                styleMap[styleId].ilvl = parseInt(numPr.getElementsByTagName("w:ilvl")[0]?.getAttribute("w:val") ?? "0", 10);
+            }
+        }
+    });
+
+    // Resolve numbering, heading levels and run formatting inherited through the basedOn chain.
+    Object.keys(styleMap).forEach(styleId => {
+        const style = styleMap[styleId];
+        /** Styles of the chain, from the style itself up to its root */
+        const chain = [style];
+        const visited = new Set([styleId]);
+        let current = style;
+        while (current.basedOn && styleMap[current.basedOn] && !visited.has(current.basedOn)) {
+            visited.add(current.basedOn);
+            current = styleMap[current.basedOn];
+            chain.push(current);
+        }
+
+        const numbered = chain.find(ancestor => ancestor.numId !== undefined);
+        if (numbered && numbered !== style) {
+            style.numId = numbered.numId;
+            style.ilvl = numbered.ilvl;
+        }
+
+        const heading = chain.find(ancestor => ancestor.headingLevel !== undefined);
+        style.resolvedHeadingLevel = heading ? heading.headingLevel : 0;
+
+        const isParagraphStyle = !style.type || style.type === "paragraph";
+        style.resolvedFormatting = chain.reduceRight((formatting, ancestor) => ({ ...formatting, ...ancestor.formatting }), isParagraphStyle ? defaultFormatting : {});
+    });
+
+    Object.keys(styleMap).forEach(styleId => {
+        const style = styleMap[styleId];
+        style.headingLevel = style.resolvedHeadingLevel;
+        style.isHeading = style.headingLevel > 0;
+        style.formatting = style.resolvedFormatting;
+        delete style.resolvedHeadingLevel;
+        delete style.resolvedFormatting;
+    });
+
+    if (defaultStyleId !== undefined)
+        styleMap[""] = styleMap[defaultStyleId];
+    else {
+        const level = parseInt(defaultOutlineLevel?.getAttribute("w:val") || "", 10);
+        const headingLevel = level >= 0 && level < 9 ? level + 1 : 0;
+        styleMap[""] = { name: "", type: "paragraph", formatting: defaultFormatting, headingLevel: headingLevel, isHeading: headingLevel > 0 };
+    }
+    
+    return styleMap;
+}
+
+/** Parse numbering.xml to create a numbering mapping
+ * @param {string} numberingXml The numbering.xml content
+ * @returns {Object} Numbering mapping object keyed by numId
+ */
+function parseNumbering(numberingXml) {
+    const doc = parseString(numberingXml);
+
+    /** Level definitions of every abstract numbering keyed by abstractNumId */
+    const abstractNums = {};
+    /** Abstract numbering ids keyed by the list style they define (w:styleLink) */
+    const styleLinks = {};
+    /** Abstract numbering ids that only point to a list style (w:numStyleLink) */
+    const numStyleLinks = {};
+
+    Array.from(doc.getElementsByTagName("w:abstractNum")).forEach(abstractNum => {
+        const abstractNumId = abstractNum.getAttribute("w:abstractNumId");
+        const levels = {};
+
+        Array.from(abstractNum.getElementsByTagName("w:lvl")).forEach(lvl => {
+            levels[lvl.getAttribute("w:ilvl")] = parseNumberingLevel(lvl);
+        });
+
+        abstractNums[abstractNumId] = levels;
+
+        const styleLink = abstractNum.getElementsByTagName("w:styleLink")[0];
+        if (styleLink)
+            styleLinks[styleLink.getAttribute("w:val")] = abstractNumId;
+        const numStyleLink = abstractNum.getElementsByTagName("w:numStyleLink")[0];
+        if (numStyleLink)
+            numStyleLinks[abstractNumId] = numStyleLink.getAttribute("w:val");
+    });
+
+    const numberingMap = {};
+    Array.from(doc.getElementsByTagName("w:num")).forEach(num => {
+        let abstractNumId = num.getElementsByTagName("w:abstractNumId")[0]?.getAttribute("w:val");
+        // A numbering that refers to a list style takes its levels from the abstract numbering defining that style.
+        if (numStyleLinks[abstractNumId] && styleLinks[numStyleLinks[abstractNumId]] !== undefined)
+            abstractNumId = styleLinks[numStyleLinks[abstractNumId]];
+
+        const levels = { ...abstractNums[abstractNumId] };
+        /** Start values restarted by this numbering instance keyed by level */
+        const startOverrides = {};
+
+        Array.from(num.getElementsByTagName("w:lvlOverride")).forEach(lvlOverride => {
+            const ilvl = lvlOverride.getAttribute("w:ilvl");
+            const lvl = lvlOverride.getElementsByTagName("w:lvl")[0];
+            if (lvl)
+                levels[ilvl] = parseNumberingLevel(lvl);
+
+            const startOverride = lvlOverride.getElementsByTagName("w:startOverride")[0];
+            if (startOverride)
+                startOverrides[ilvl] = parseInt(startOverride.getAttribute("w:val"), 10);
+        });
+
+        numberingMap[num.getAttribute("w:numId")] = {
+            abstractNumId: abstractNumId,
+            levels: levels,
+            startOverrides: startOverrides
+        };
+    });
+
+    return numberingMap;
+}
+
+/** Parse a single w:lvl definition of a numbering
+ * @param {Element} lvl The w:lvl element
+ * @returns {Object} Level information
+ */
+function parseNumberingLevel(lvl) {
+    const getVal = (tagName) => lvl.getElementsByTagName(tagName)[0]?.getAttribute("w:val");
+    const restart = getVal("w:lvlRestart");
+
+    return {
+        numFmt: getVal("w:numFmt") || "decimal",
+        lvlText: getVal("w:lvlText") ?? "",
+        start: parseInt(getVal("w:start") ?? "1", 10),
+        restart: restart !== undefined ? parseInt(restart, 10) : undefined,
+        isLgl: !!lvl.getElementsByTagName("w:isLgl")[0]
+    };
+}
+
+/** Get numbering properties of a paragraph, either set directly or inherited from its style
+ * @param {Element} paragraphNode The w:p element
+ * @param {Object} style Style information of the paragraph
+ * @param {string} [trackedChanges] Tracked changes mode from the config
+ * @returns {{ numId: string, ilvl: number } | undefined} Numbering properties or undefined if the paragraph is not part of a list
+ */
+function getParagraphNumbering(paragraphNode, style, trackedChanges) {
+    // Only the paragraph's own properties count, not those of paragraphs in its text boxes.
+    let pPr = getChildElements(paragraphNode, "w:pPr")[0];
+    const pPrChange = pPr ? getChildElements(pPr, "w:pPrChange")[0] : undefined;
+    if (pPrChange && trackedChanges === "reject")
+        pPr = getChildElements(pPrChange, "w:pPr")[0];
+    const numPr = pPr ? getChildElements(pPr, "w:numPr")[0] : undefined;
+
+    const numId = (numPr ? getChildElements(numPr, "w:numId")[0]?.getAttribute("w:val") : undefined) ?? style.numId;
+    const ilvl = numPr ? getChildElements(numPr, "w:ilvl")[0]?.getAttribute("w:val") : undefined;
+
+    // numId 0 explicitly removes the numbering inherited from the style.
+    if (numId === undefined || numId === "0")
+        return undefined;
+
+    return {
+        numId: numId,
+        ilvl: ilvl !== undefined ? parseInt(ilvl, 10) : (style.ilvl ?? 0)
+    };
+}
+
+/** Create the running state used for numbering list paragraphs
+ * @returns {{ counters: Object, seenNumIds: Set<string>, depth: number }} List state
+ */
+function createListState() {
+    return {
+        counters: {},
+        seenNumIds: new Set(),
+        depth: -1
+    };
+}
+
+/** Advance the list counters for a numbered paragraph and build its label
+ * @param {{ numId: string, ilvl: number }} numbering Numbering properties of the paragraph
+ * @param {Object} numberingMap Numbering mapping object
+ * @param {Object} listState List state created by createListState
+ * @returns {{ label: string, isBullet: boolean, ilvl: number } | undefined} List item information
+ */
+function nextListItem(numbering, numberingMap, listState) {
+    const num = numberingMap[numbering.numId];
+    if (!num) return undefined;
+
+    const level = num.levels[numbering.ilvl];
+    if (!level) return undefined;
+
+    // Lists sharing an abstract numbering continue each other unless a numbering instance restarts them.
+    let counters = listState.counters[num.abstractNumId];
+    if (!counters || (!listState.seenNumIds.has(numbering.numId) && Object.keys(num.startOverrides).length > 0))
+        counters = listState.counters[num.abstractNumId] = {};
+    if (!listState.seenNumIds.has(numbering.numId)) {
+        listState.seenNumIds.add(numbering.numId);
+        Object.keys(num.startOverrides).forEach(ilvl => counters[ilvl] = num.startOverrides[ilvl] - 1);
+    }
+
+    counters[numbering.ilvl] = (counters[numbering.ilvl] ?? level.start - 1) + 1;
+
+    // Deeper levels restart once a higher level is used, unless w:lvlRestart says otherwise.
+    Object.keys(counters)
+        .map(ilvl => parseInt(ilvl, 10))
+        .filter(ilvl => ilvl > numbering.ilvl)
+        .filter(ilvl => numbering.ilvl < (num.levels[ilvl]?.restart ?? ilvl))
+        .forEach(ilvl => delete counters[ilvl]);
+
+    if (level.numFmt === "bullet" || level.numFmt === "none")
+        return { label: "", isBullet: true, ilvl: numbering.ilvl };
+
+    const label = level.lvlText.replace(/%(\d)/g, (_, levelNumber) => {
+        const ilvl = parseInt(levelNumber, 10) - 1;
+        const referencedLevel = num.levels[ilvl];
+        const value = counters[ilvl] ?? referencedLevel?.start ?? 1;
+        return formatListNumber(value, level.isLgl ? "decimal" : referencedLevel?.numFmt ?? "decimal");
+    });
+
+    return { label: label.trim(), isBullet: false, ilvl: numbering.ilvl };
+}
+
+/** Format a list counter according to the numbering format of its level
+ * @param {number} value The counter value
+ * @param {string} numFmt The w:numFmt value
+ * @returns {string} Formatted counter
+ */
+function formatListNumber(value, numFmt) {
+    switch (numFmt) {
+        case "decimalZero":
+            return value < 10 ? `0${value}` : `${value}`;
+        case "lowerLetter":
+        case "upperLetter": {
+            // Word repeats the letter after z: a..z, aa..zz, aaa..zzz
+            const letter = String.fromCharCode(97 + (value - 1) % 26).repeat(Math.floor((value - 1) / 26) + 1);
+            return numFmt === "upperLetter" ? letter.toUpperCase() : letter;
+        }
+        case "lowerRoman":
+        case "upperRoman": {
+            /** @type {[number, string][]} */
+            const numerals = [[1000, "m"], [900, "cm"], [500, "d"], [400, "cd"], [100, "c"], [90, "xc"], [50, "l"], [40, "xl"], [10, "x"], [9, "ix"], [5, "v"], [4, "iv"], [1, "i"]];
+            let remaining = value;
+            let roman = "";
+            numerals.forEach(([arabic, numeral]) => {
+                while (remaining >= arabic) {
+                    roman += numeral;
+                    remaining -= arabic;
+                }
+            });
+            return numFmt === "upperRoman" ? roman.toUpperCase() : roman;
+        }
+        case "chineseCounting":
+        case "chineseCountingThousand":
+        case "ideographTraditional":
+        case "japaneseCounting": {
+            const digits = "〇一二三四五六七八九";
+            if (value < 10) return digits[value];
+            if (value < 100) return (value >= 20 ? digits[Math.floor(value / 10)] : "") + "十" + (value % 10 ? digits[value % 10] : "");
+            return `${value}`;
+        }
+        default:
+            return `${value}`;
+    }
+}
+
+/** Apply list formatting (Markdown list marker and nesting indent) to a paragraph
+ * @param {string} text The paragraph text
+ * @param {{ label: string, isBullet: boolean, ilvl: number }} listItem List item information
+ * @param {Object} listState List state created by createListState
+ * @returns {string} Markdown list item
+ */
+function applyListFormatting(text, listItem, listState) {
+    // A list cannot jump more than one level deeper than the previous item without turning into a code block.
+    const depth = Math.min(listItem.ilvl, listState.depth + 1);
+    listState.depth = depth;
+
+    const indent = "    ".repeat(depth);
+    if (listItem.isBullet)
+        return `${indent}- ${text}`;
+    // Plain "1." / "1)" labels are Markdown ordered list markers, anything else (a., iv., 1.2.) is kept as text in a bullet.
+    if (/^\d+[.)]$/.test(listItem.label))
+        return `${indent}${listItem.label} ${text}`;
+    return `${indent}- ${listItem.label ? listItem.label + " " : ""}${text}`;
+}
+
+/** Get paragraph style information, with the heading level overridden by a direct w:outlineLvl of the paragraph
+ * @param {Element} paragraphNode The w:p element
+ * @param {Object} styleMap Style mapping object
+ * @param {string} [trackedChanges] Tracked changes mode from the config
+ * @returns {Object} Style information
+ */
+function getParagraphStyle(paragraphNode, styleMap, trackedChanges) {
+    // Paragraphs without a w:pStyle have the default paragraph style, kept under the empty style id.
+    let pPr = getChildElements(paragraphNode, "w:pPr")[0];
+    if (!pPr) return styleMap[""] || {};
+
+    // Rejecting tracked changes shows the paragraph with the properties it had before the change.
+    const pPrChange = getChildElements(pPr, "w:pPrChange")[0];
+    if (pPrChange && trackedChanges === "reject") {
+        pPr = getChildElements(pPrChange, "w:pPr")[0];
+        if (!pPr) return styleMap[""] || {};
+    }
+    
+    const pStyle = getChildElements(pPr, "w:pStyle")[0];
+    const style = styleMap[pStyle?.getAttribute("w:val") || ""] || styleMap[""] || {};
+
+    const outlineLevel = getChildElements(pPr, "w:outlineLvl")[0];
+    if (!outlineLevel)
+        return style;
+
+    const level = parseInt(outlineLevel.getAttribute("w:val") || "", 10);
+    const headingLevel = level >= 0 && level < 9 ? level + 1 : 0;
+    return { ...style, headingLevel, isHeading: headingLevel > 0 };
+}
+
+/** Get text formatting information of a run, from its paragraph style, its character style and its direct run properties in that order.
+ * Headings and table of contents entries do not inherit the formatting of their paragraph style, their Markdown syntax already sets them apart.
+ * @param {Element}     runNode The w:r element
+ * @param {WordContext} context Word parsing context
+ * @returns {Object} Formatting information
+ */
+function getTextFormatting(runNode, context) {
+    let formatting = {};
+
+    /** @type {Node | null} */
+    let paragraphNode = runNode.parentNode;
+    while (paragraphNode && paragraphNode.nodeName !== "w:p")
+        paragraphNode = paragraphNode.parentNode;
+    if (paragraphNode) {
+        // @ts-ignore
+        const pStyle = getParagraphStyle(paragraphNode, context.styleMap, context.config.trackedChanges);
+        if (!pStyle.isHeading && !pStyle.tocLevel && pStyle.formatting)
+            formatting = { ...pStyle.formatting };
+    }
+
+    let rPr = getChildElements(runNode, "w:rPr")[0];
+    if (!rPr) return formatting;
+
+    // Rejecting tracked changes shows the run with the formatting it had before the change.
+    const rPrChange = getChildElements(rPr, "w:rPrChange")[0];
+    if (rPrChange && context.config.trackedChanges === "reject") {
+        rPr = getChildElements(rPrChange, "w:rPr")[0];
+        if (!rPr) return formatting;
+    }
+
+    const rStyle = getChildElements(rPr, "w:rStyle")[0];
+    const characterStyle = rStyle && context.styleMap[rStyle.getAttribute("w:val") || ""];
+    if (characterStyle && characterStyle.formatting)
+        formatting = { ...formatting, ...characterStyle.formatting };
+    
+    return { ...formatting, ...parseRunProperties(rPr) };
+}
+
+/** Apply Markdown formatting to text based on run properties
+ * @param {string} text The text content
+ * @param {Object} formatting Formatting information
+ * @returns {string} Markdown formatted text
+ */
+function applyMarkdownFormatting(text, formatting) {
+    // Emphasis markers must hug the text, surrounding whitespace stays outside of them.
+    const [, leading, content, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/) || ["", "", text, ""];
+    if (!content) return text;
+    let result = content;
+    
+    if (formatting.bold && formatting.italic) {
+        result = `***${result}***`;
+    } else if (formatting.bold) {
+        result = `**${result}**`;
+    } else if (formatting.italic) {
+        result = `*${result}*`;
+    }
+    
+    if (formatting.strike) {
+        result = `~~${result}~~`;
+    }
+    
+    // Note: Markdown doesn't have native underline support
+    // You could use HTML tags if needed: <u>text</u>
+    
+    return leading + result + trailing;
+}
+
+/** Apply paragraph-level formatting (headers)
+ * @param {string} text The paragraph text
+ * @param {Object} style Style information
+ * @returns {string} Formatted paragraph
+ */
+function applyParagraphFormatting(text, style) {
+    if (style.isHeading && style.headingLevel) {
+        const headerPrefix = '#'.repeat(Math.min(style.headingLevel, 6));
+        return `${headerPrefix} ${text}`;
+    }
+    
+    return text;
+}
+
+/** LaTeX commands of the Unicode characters used in equations */
+const LATEX_SYMBOLS = {
+    "α": "\\alpha", "β": "\\beta", "γ": "\\gamma", "δ": "\\delta", "ε": "\\varepsilon", "ϵ": "\\epsilon", "ζ": "\\zeta", "η": "\\eta",
+    "θ": "\\theta", "ϑ": "\\vartheta", "ι": "\\iota", "κ": "\\kappa", "λ": "\\lambda", "μ": "\\mu", "ν": "\\nu", "ξ": "\\xi",
+    "π": "\\pi", "ϖ": "\\varpi", "ρ": "\\rho", "ϱ": "\\varrho", "σ": "\\sigma", "ς": "\\varsigma", "τ": "\\tau", "υ": "\\upsilon",
+    "φ": "\\varphi", "ϕ": "\\phi", "χ": "\\chi", "ψ": "\\psi", "ω": "\\omega",
+    "Γ": "\\Gamma", "Δ": "\\Delta", "Θ": "\\Theta", "Λ": "\\Lambda", "Ξ": "\\Xi", "Π": "\\Pi", "Σ": "\\Sigma", "Υ": "\\Upsilon",
+    "Φ": "\\Phi", "Ψ": "\\Psi", "Ω": "\\Omega",
+    "∞": "\\infty", "∂": "\\partial", "∇": "\\nabla", "ℏ": "\\hbar", "ℓ": "\\ell", "∅": "\\emptyset", "ℝ": "\\mathbb{R}", "ℕ": "\\mathbb{N}",
+    "ℤ": "\\mathbb{Z}", "ℚ": "\\mathbb{Q}", "ℂ": "\\mathbb{C}", "∀": "\\forall", "∃": "\\exists", "¬": "\\neg",
+    "±": "\\pm", "∓": "\\mp", "×": "\\times", "÷": "\\div", "·": "\\cdot", "⋅": "\\cdot", "∘": "\\circ", "∗": "\\ast", "−": "-",
+    "≤": "\\leq", "≥": "\\geq", "≠": "\\neq", "≈": "\\approx", "≡": "\\equiv", "∼": "\\sim", "≃": "\\simeq", "≅": "\\cong", "∝": "\\propto",
+    "≪": "\\ll", "≫": "\\gg", "∈": "\\in", "∉": "\\notin", "∋": "\\ni", "⊂": "\\subset", "⊃": "\\supset", "⊆": "\\subseteq", "⊇": "\\supseteq",
+    "∪": "\\cup", "∩": "\\cap", "∧": "\\wedge", "∨": "\\vee", "⊕": "\\oplus", "⊗": "\\otimes", "⊥": "\\perp", "∥": "\\parallel",
+    "→": "\\rightarrow", "←": "\\leftarrow", "↔": "\\leftrightarrow", "⇒": "\\Rightarrow", "⇐": "\\Leftarrow", "⇔": "\\Leftrightarrow",
+    "↦": "\\mapsto", "↑": "\\uparrow", "↓": "\\downarrow", "…": "\\ldots", "⋯": "\\cdots", "⋮": "\\vdots", "⋱": "\\ddots", "°": "^{\\circ}",
+    "′": "'", "″": "''", "∠": "\\angle", "△": "\\triangle", "∴": "\\therefore", "∵": "\\because",
+    "∑": "\\sum", "∏": "\\prod", "∐": "\\coprod", "∫": "\\int", "∬": "\\iint", "∭": "\\iiint", "∮": "\\oint",
+    "⋃": "\\bigcup", "⋂": "\\bigcap", "⋁": "\\bigvee", "⋀": "\\bigwedge",
+    "{": "\\{", "}": "\\}", "%": "\\%", "#": "\\#", "$": "\\$", "&": "\\&", "_": "\\_", "^": "\\hat{}", "~": "\\sim", "\\": "{\\backslash}", "⁡": "", "⁢": "", "⁣": ","
+};
+
+/** Function names that LaTeX has an operator command for */
+const LATEX_FUNCTIONS = new Set(["sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh", "tanh", "coth",
+    "log", "ln", "lg", "exp", "lim", "liminf", "limsup", "max", "min", "sup", "inf", "det", "dim", "ker", "deg", "gcd", "arg", "Pr", "hom"]);
+
+/** LaTeX commands of the accent characters, by both their combining and spacing forms */
+const LATEX_ACCENTS = {
+    "̂": "\\hat", "^": "\\hat", "̃": "\\tilde", "~": "\\tilde", "̄": "\\bar", "̅": "\\bar", "¯": "\\bar",
+    "̇": "\\dot", "˙": "\\dot", "̈": "\\ddot", "¨": "\\ddot", "⃗": "\\vec", "→": "\\vec", "́": "\\acute",
+    "̀": "\\grave", "̆": "\\breve", "̌": "\\check", "ˇ": "\\check"
+};
+
+/** Convert the characters of an equation to LaTeX
+ * @param {string} text Equation text
+ * @returns {string} LaTeX text
+ */
+function toLatexText(text) {
+    return joinLatex(Array.from(text).map(character => LATEX_SYMBOLS[character] ?? character));
+}
+
+/** Escape text for the LaTeX text mode, like within \text{}
+ * @param {string} text Plain text
+ * @returns {string} LaTeX text
+ */
+function toLatexPlainText(text) {
+    const escapes = { "\\": "\\textbackslash{}", "{": "\\{", "}": "\\}", "%": "\\%", "#": "\\#", "$": "\\$", "&": "\\&", "_": "\\_",
+        "^": "\\textasciicircum{}", "~": "\\textasciitilde{}" };
+    return Array.from(text).map(character => escapes[character] ?? character).join("");
+}
+
+/** Join LaTeX fragments, separating a command from a following letter so that they do not merge into another command
+ * @param {string[]} parts LaTeX fragments
+ * @returns {string} LaTeX text
+ */
+function joinLatex(parts) {
+    return parts.reduce((latex, part) => /\\[a-zA-Z]+$/.test(latex) && /^[a-zA-Z]/.test(part) ? `${latex} ${part}` : latex + part, "");
+}
+
+/** Get the LaTeX delimiter of a bracket character
+ * @param {string} character Bracket character, empty for no visible delimiter
+ * @returns {string} LaTeX delimiter
+ */
+function getLatexDelimiter(character) {
+    const delimiters = { "": ".", "{": "\\{", "}": "\\}", "⟨": "\\langle", "⟩": "\\rangle", "〈": "\\langle", "〉": "\\rangle",
+        "‖": "\\|", "⌊": "\\lfloor", "⌋": "\\rfloor", "⌈": "\\lceil", "⌉": "\\rceil" };
+    return delimiters[character] ?? character;
+}
+
+/** Wrap a function name in its LaTeX operator
+ * @param {string} name Function name
+ * @returns {string} LaTeX operator
+ */
+function getLatexFunctionName(name) {
+    const trimmedName = name.trim();
+    if (LATEX_FUNCTIONS.has(trimmedName)) return `\\${trimmedName}`;
+    return /^[a-zA-Z]{2,}$/.test(trimmedName) ? `\\operatorname{${trimmedName}}` : name;
+}
+
+/** Put a limit below or above a base, as subscript or superscript of LaTeX operators that take limits
+ * @param {string} base  LaTeX of the base
+ * @param {string} limit LaTeX of the limit
+ * @param {boolean} isUpper Flag whether the limit is above the base
+ * @returns {string} LaTeX text
+ */
+function applyLatexLimit(base, limit, isUpper) {
+    if (/^\\(?:lim|liminf|limsup|max|min|sup|inf|sum|prod|coprod|bigcup|bigcap|bigvee|bigwedge|det|gcd|Pr)$/.test(base.trim()))
+        return `${base.trim()}${isUpper ? "^" : "_"}{${limit}}`;
+    return `${isUpper ? "\\overset" : "\\underset"}{${limit}}{${base}}`;
+}
+
+/** Convert Office Math (OMML) to LaTeX
+ * @param {Element} node An m:oMath element or any element within it
+ * @returns {string} LaTeX text
+ */
+function ommlToLatex(node) {
+    /** Get the m:val attribute of a property in the properties element of the node */
+    const getProperty = (/** @type {Element} */ element, /** @type {string} */ propertiesName, /** @type {string} */ propertyName) => {
+        const properties = getChildElements(element, propertiesName)[0];
+        const property = properties && getChildElements(properties, propertyName)[0];
+        return property ? property.getAttribute("m:val") : undefined;
+    };
+    /** Convert the named child element of the node */
+    const convertChild = (/** @type {Element} */ element, /** @type {string} */ tagName) => {
+        const child = getChildElements(element, tagName)[0];
+        return child ? ommlToLatex(child) : "";
+    };
+    // On/off properties without a value are on.
+    const isOn = (/** @type {string | null | undefined} */ value) => value === "" || value === "1" || value === "on" || value === "true";
+
+    switch (node.nodeName) {
+        case "m:r": {
+            const text = getChildElements(node, "m:t").map(t => t.textContent || "").join("");
+            // Normal (non-math) text keeps its spaces and letters upright.
+            const runProperties = getChildElements(node, "m:rPr")[0];
+            if (runProperties && getChildElements(runProperties, "m:nor").length > 0)
+                return `\\text{${toLatexPlainText(text)}}`;
+            return toLatexText(text);
+        }
+        case "m:f": {
+            const numerator = convertChild(node, "m:num");
+            const denominator = convertChild(node, "m:den");
+            switch (getProperty(node, "m:fPr", "m:type")) {
+                case "lin":
+                case "skw":
+                    return `${numerator}/${denominator}`;
+                case "noBar":
+                    return `\\genfrac{}{}{0pt}{}{${numerator}}{${denominator}}`;
+                default:
+                    return `\\frac{${numerator}}{${denominator}}`;
+            }
+        }
+        case "m:rad": {
+            const degree = convertChild(node, "m:deg");
+            const base = convertChild(node, "m:e");
+            return degree && !isOn(getProperty(node, "m:radPr", "m:degHide")) ? `\\sqrt[${degree}]{${base}}` : `\\sqrt{${base}}`;
+        }
+        case "m:sSup":
+            return `{${convertChild(node, "m:e")}}^{${convertChild(node, "m:sup")}}`;
+        case "m:sSub":
+            return `{${convertChild(node, "m:e")}}_{${convertChild(node, "m:sub")}}`;
+        case "m:sSubSup":
+            return `{${convertChild(node, "m:e")}}_{${convertChild(node, "m:sub")}}^{${convertChild(node, "m:sup")}}`;
+        case "m:sPre":
+            return `{}_{${convertChild(node, "m:sub")}}^{${convertChild(node, "m:sup")}}{${convertChild(node, "m:e")}}`;
+        case "m:nary": {
+            // Without a character the n-ary operator is an integral.
+            const character = getProperty(node, "m:naryPr", "m:chr");
+            let operator = LATEX_SYMBOLS[character ?? "∫"] ?? character;
+            if (!isOn(getProperty(node, "m:naryPr", "m:subHide"))) {
+                const lowerLimit = convertChild(node, "m:sub");
+                if (lowerLimit) operator += `_{${lowerLimit}}`;
+            }
+            if (!isOn(getProperty(node, "m:naryPr", "m:supHide"))) {
+                const upperLimit = convertChild(node, "m:sup");
+                if (upperLimit) operator += `^{${upperLimit}}`;
+            }
+            return `${operator}{${convertChild(node, "m:e")}}`;
+        }
+        case "m:d": {
+            const beginCharacter = getProperty(node, "m:dPr", "m:begChr") ?? "(";
+            const endCharacter = getProperty(node, "m:dPr", "m:endChr") ?? ")";
+            const separator = getProperty(node, "m:dPr", "m:sepChr") ?? "|";
+            const content = getChildElements(node, "m:e").map(element => ommlToLatex(element)).join(toLatexText(separator));
+            return `\\left${getLatexDelimiter(beginCharacter)}${content}\\right${getLatexDelimiter(endCharacter)}`;
+        }
+        case "m:m": {
+            const rows = getChildElements(node, "m:mr").map(row => getChildElements(row, "m:e").map(element => ommlToLatex(element)).join(" & "));
+            return `\\begin{matrix}${rows.join(" \\\\ ")}\\end{matrix}`;
+        }
+        case "m:eqArr": {
+            const rows = getChildElements(node, "m:e").map(element => ommlToLatex(element));
+            return `\\begin{aligned}${rows.join(" \\\\ ")}\\end{aligned}`;
+        }
+        case "m:func":
+            return joinLatex([convertChild(node, "m:fName"), " ", convertChild(node, "m:e")]);
+        case "m:fName": {
+            // Plain function names become operators, names with limits (m:limLow) are converted as they are.
+            const children = getChildElements(node, "m:r");
+            if (children.length === getChildElements(node, "*").length)
+                return getLatexFunctionName(children.map(run => getChildElements(run, "m:t").map(t => t.textContent || "").join("")).join(""));
+            break;
+        }
+        case "m:limLow":
+        case "m:limUpp": {
+            const base = convertChild(node, "m:e");
+            const baseText = getChildElements(node, "m:e")[0]?.textContent || "";
+            return applyLatexLimit(LATEX_FUNCTIONS.has(baseText.trim()) ? getLatexFunctionName(baseText) : base,
+                convertChild(node, "m:lim"), node.nodeName === "m:limUpp");
+        }
+        case "m:acc": {
+            const character = getProperty(node, "m:accPr", "m:chr") ?? "̂";
+            return `${LATEX_ACCENTS[character] ?? "\\hat"}{${convertChild(node, "m:e")}}`;
+        }
+        case "m:bar":
+            return getProperty(node, "m:barPr", "m:pos") === "top" ? `\\overline{${convertChild(node, "m:e")}}` : `\\underline{${convertChild(node, "m:e")}}`;
+        case "m:groupChr": {
+            const character = getProperty(node, "m:groupChrPr", "m:chr") ?? "⏟";
+            const base = convertChild(node, "m:e");
+            if (character === "⏟") return `\\underbrace{${base}}`;
+            if (character === "⏞") return `\\overbrace{${base}}`;
+            return getProperty(node, "m:groupChrPr", "m:pos") === "top" ? `\\overset{${toLatexText(character)}}{${base}}` : `\\underset{${toLatexText(character)}}{${base}}`;
+        }
+        case "m:borderBox":
+            return `\\boxed{${convertChild(node, "m:e")}}`;
+        case "m:phant":
+            return isOn(getProperty(node, "m:phantPr", "m:show")) ? convertChild(node, "m:e") : "";
+    }
+
+    // Containers (m:oMath, m:e, m:num, m:box, ...) hold a sequence of math elements, their property elements hold no content.
+    return joinLatex(getChildElements(node, "*")
+        .filter(child => !/Pr$/.test(child.nodeName) && child.nodeName !== "w:rPr")
+        .map(child => ommlToLatex(child)));
+}
+
+/** Convert MathML, as found in ODF formula objects, to LaTeX
+ * @param {Element} node A math element or any element within it
+ * @returns {string} LaTeX text
+ */
+function mathMLToLatex(node) {
+    /** Child elements of the node, with any namespace prefix */
+    const children = getChildElements(node, "*");
+    const convertChildren = () => joinLatex(children.map(child => mathMLToLatex(child)));
+    const convertChild = (/** @type {number} */ index) => children[index] ? mathMLToLatex(children[index]) : "";
+    const text = (node.textContent || "").trim();
+
+    switch (node.localName) {
+        case "semantics":
+            // The first child is the presentation markup, annotations hold the source of other formats.
+            return convertChild(0);
+        case "annotation":
+        case "annotation-xml":
+            return "";
+        case "mi":
+            if (text.length > 1) return getLatexFunctionName(text);
+            return toLatexText(text);
+        case "mn":
+            return text;
+        case "mo":
+            return LATEX_FUNCTIONS.has(text) ? `\\${text}` : toLatexText(text);
+        case "mtext":
+            return text ? `\\text{${toLatexPlainText(text)}}` : "";
+        case "mspace":
+            return "\\ ";
+        case "mfrac":
+            return `\\frac{${convertChild(0)}}{${convertChild(1)}}`;
+        case "msqrt":
+            return `\\sqrt{${convertChildren()}}`;
+        case "mroot":
+            return `\\sqrt[${convertChild(1)}]{${convertChild(0)}}`;
+        case "msup":
+            return `{${convertChild(0)}}^{${convertChild(1)}}`;
+        case "msub":
+            return `{${convertChild(0)}}_{${convertChild(1)}}`;
+        case "msubsup":
+            return `{${convertChild(0)}}_{${convertChild(1)}}^{${convertChild(2)}}`;
+        case "munder":
+        case "mover": {
+            const base = convertChild(0);
+            const script = convertChild(1);
+            const accent = node.localName === "mover" && LATEX_ACCENTS[(children[1]?.textContent || "").trim()];
+            if (accent) return `${accent}{${base}}`;
+            if (node.localName === "munder" && /^\\(?:sum|prod|coprod|int|iint|iiint|oint|bigcup|bigcap|bigvee|bigwedge)$/.test(base))
+                return `${base}_{${script}}`;
+            return applyLatexLimit(base, script, node.localName === "mover");
+        }
+        case "munderover":
+            return `${convertChild(0)}_{${convertChild(1)}}^{${convertChild(2)}}`;
+        case "mfenced": {
+            const separators = node.hasAttribute("separators") ? node.getAttribute("separators") ?? "" : ",";
+            const content = children.map(child => mathMLToLatex(child)).join(toLatexText(separators.trim().charAt(0) || ","));
+            return `\\left${getLatexDelimiter(node.hasAttribute("open") ? node.getAttribute("open") ?? "" : "(")}${content}\\right${getLatexDelimiter(node.hasAttribute("close") ? node.getAttribute("close") ?? "" : ")")}`;
+        }
+        case "mtable": {
+            const rows = children.map(row => getChildElements(row, "*").map(cell => mathMLToLatex(cell)).join(" & "));
+            return `\\begin{matrix}${rows.join(" \\\\ ")}\\end{matrix}`;
+        }
+        case "menclose":
+            return `\\boxed{${convertChildren()}}`;
+        case "mphantom":
+            return "";
+    }
+
+    // Containers (math, mrow, mstyle, mpadded, ...) hold a sequence of elements.
+    return convertChildren();
+}
+
+/** Main function for parsing text from PowerPoint files
+ * @param {string | Buffer}    file     File path or Buffers
+ * @param {function}           callback Callback function that returns value or error
+ * @param {OfficeParserConfig} config   Config Object for officeParser
+ * @returns {void}
+ */
+function parsePowerPoint(file, callback, config) {
+    // Files regex that hold our content of interest
+    const presentationFilePath = 'ppt/presentation.xml';
+    const slidesRegex          = /ppt\/slides\/slide\d+.xml/g;
+    const notesRegex           = /ppt\/notesSlides\/notesSlide\d+.xml/g;
+    const layoutsRegex         = /ppt\/(slideLayouts\/slideLayout|slideMasters\/slideMaster)\d+.xml/g;
+    const graphicsRegex        = /ppt\/(charts\/chart|diagrams\/data)\d+.xml/g;
+    const relsFileRegex        = /ppt\/(_rels\/presentation|(slides|slideLayouts)\/_rels\/(slide|slideLayout)\d+)\.xml\.rels/g;
+    const slideNumberRegex     = /lide(\d+)\.xml/;
+
+    /** Package, opened once to list its parts and then read the ones of interest */
+    /** @type {yauzl.ZipFile | undefined} */
+    let zipfile;
+    /** @type {Map<string, yauzl.Entry>} */
+    let entries = new Map();
+
+    // The presentation and the relationships come first, to find the parts of the selected slides. The other slides are never read.
+    openZipEntries(file)
+        .then(zip => {
+            ({ zipfile, entries } = zip);
+            return readZipEntries(zipfile, entries, x => x == presentationFilePath || !!x.match(relsFileRegex));
+        })
+        .then(presentationFiles => {
+            const partPaths = Array.from(entries.keys());
+            // Verify if atleast the slides xml files exist in the package.
+            if (!partPaths.some(partPath => partPath.match(slidesRegex)))
+                throw ERRORMSG.fileCorrupted(file);
+
+            /** Relationships of a part, used to find the slides of the presentation and the notes of a slide. */
+            const getPartRelationships = (partPath) => parseRelationships(presentationFiles.find(file => file.path == getRelationshipsPath(partPath))?.content, partPath);
+
+            // The order of the slides is the order of their ids in the presentation, which has nothing to do with their file names in reordered decks.
+            // Without a presentation part, the slides are sorted by the number in their file names instead.
+            const presentationFile = presentationFiles.find(file => file.path == presentationFilePath);
+            const presentationRelationships = getPartRelationships(presentationFilePath);
+            const slidePaths = presentationFile
+                ? Array.from(parseString(presentationFile.content).getElementsByTagName("p:sldId"))
+                    .map(slideId => presentationRelationships[slideId.getAttribute("r:id")]?.path)
+                    .filter(slidePath => partPaths.includes(slidePath))
+                : partPaths
+                    .filter(partPath => partPath.match(slidesRegex))
+                    .sort((a, b) => parseInt(a.match(slideNumberRegex)?.at(1), 10) - parseInt(b.match(slideNumberRegex)?.at(1), 10));
+
+            // Slides keep the number they have in the deck, also when slides before them are not selected.
+            const isSelectedSlide = parseNumberSelection(config.slides);
+            const slides = slidePaths
+                .map((slidePath, index) => ({ path: slidePath, number: index + 1 }))
+                .filter(slide => isSelectedSlide(slide.number));
+
+            // The notes, charts, diagrams and layout of a slide are related to it, the master to the layout.
+            const getRelatedPaths = (/** @type {string} */ partPath) => Object.values(getPartRelationships(partPath)).map(relationship => relationship.path ?? "");
+            const slideRelatedPaths = slides.flatMap(slide => getRelatedPaths(slide.path));
+            const selectedPaths = new Set([...slideRelatedPaths, ...slideRelatedPaths.flatMap(getRelatedPaths)]);
+            const isSelectedPart = (/** @type {string} */ partPath) => !config.slides
+                || (partPath.match(slidesRegex) ? slides.some(slide => slide.path == partPath) : selectedPaths.has(partPath));
+
+            return readZipEntries(/** @type {yauzl.ZipFile} */ (zipfile), entries, x => [slidesRegex, layoutsRegex, graphicsRegex, ...(config.ignoreNotes ? [] : [notesRegex])].some(fileRegex => x.match(fileRegex)) && isSelectedPart(x))
+                .then(files => ({ files: [...presentationFiles, ...files], slides: slides }));
+        })
+        .then(({ files, slides }) => {
+            /** Relationships of a part, used to find the layout and the notes of a slide. */
+            const getPartRelationships = (partPath) => parseRelationships(files.find(file => file.path == getRelationshipsPath(partPath))?.content, partPath);
+
+            /** Target path of the first relationship of a part with the given type */
+            const getRelatedPath = (partPath, type) => Object.values(getPartRelationships(partPath)).find(relationship => relationship.type.endsWith(`/${type}`))?.path;
+            /** Placeholder shapes of a layout or master part */
+            const getPlaceholders = (partPath) => {
+                const partFile = files.find(file => file.path == partPath);
+                return partFile ? Array.from(parseString(partFile.content).getElementsByTagName("p:sp")).filter(shape => getPowerPointPlaceholder(shape)) : [];
+            };
+
+            /** Layouts keyed by the path of their slide layout part, shared by all slides with that layout
+             * @type {Object<string, PowerPointLayout>} */
+            const layouts = {};
+            const getLayout = (slidePath) => {
+                const layoutPath = getRelatedPath(slidePath, "slideLayout");
+                if (!layoutPath) return undefined;
+                if (!layouts[layoutPath]) {
+                    const masterPath = getRelatedPath(layoutPath, "slideMaster");
+                    const masterFile = files.find(file => file.path == masterPath);
+                    layouts[layoutPath] = {
+                        layoutPlaceholders: getPlaceholders(layoutPath),
+                        masterPlaceholders: getPlaceholders(masterPath),
+                        masterTextStyles: masterFile ? parseString(masterFile.content).getElementsByTagName("p:txStyles")[0] : undefined
+                    };
+                }
+                return layouts[layoutPath];
+            };
+
+            return slides
+                // Slides keep the number they have in the deck, also when hidden slides before them are left out.
+                .map(slide => {
+                    const content = files.find(file => file.path == slide.path)?.content ?? "";
+                    const notesPath = getRelatedPath(slide.path, "notesSlide");
+                    return {
+                        number: slide.number,
+                        content: content,
+                        layout: getLayout(slide.path),
+                        /** @type {PowerPointParts} */
+                        parts: { relationships: getPartRelationships(slide.path), getContent: (partPath) => files.find(file => file.path == partPath)?.content },
+                        isHidden: ["0", "false"].includes(parseString(content).documentElement?.getAttribute("show") ?? ""),
+                        notesContent: config.ignoreNotes ? undefined : files.find(file => file.path == notesPath)?.content
+                    };
+                })
+                .filter(slide => !(slide.isHidden && config.ignoreHiddenSlides));
+        })
+        // ******************************** powerpoint xml files explanation ************************************
+        // Structure of xmlContent of a powerpoint file is simple.
+        // There are multiple xml files for each slide and correspondingly their notesSlide files.
+        // The order of the slides is given by ppt/presentation.xml and the notesSlide of a slide by the slide relationships.
+        // All text nodes are within a:t tags and each of the text nodes that belong in one paragraph are clubbed together within a a:p tag.
+        // Paragraphs belong to shapes (p:sp), which are read in the order of their position on the slide. Placeholder shapes inherit
+        // their position and bullets from the matching placeholder of the slide layout and the slide master.
+        // Charts (ppt/charts) and SmartArt diagrams (ppt/diagrams) are parts of their own that graphic frames reference through the slide relationships.
+        // ******************************************************************************************************
+        .then(slides => {
+            /** Store all the markdown content to respond */
+            let markdownContent = [];
+            /** Store all the notes content to respond at last */
+            let notesContent = [];
+
+            slides.forEach(slide => {
+                // The slide title is part of the slide heading.
+                const { title, text } = getPowerPointText(slide.content, false, slide.layout, slide.parts, config);
+                markdownContent.push(title ? `\n## 幻灯片 ${slide.number}：${title}\n` : `\n## 幻灯片 ${slide.number}\n`);
+                if (text.trim())
+                    markdownContent.push(text);
+
+                if (slide.notesContent === undefined)
+                    return;
+
+                const notesText = getPowerPointText(slide.notesContent, true, undefined, undefined, config).text;
+                if (config.putNotesAtLast) {
+                    // Collected notes are headed by the number of their slide.
+                    if (notesText.trim())
+                        notesContent.push(`\n### 幻灯片 ${slide.number}\n`, notesText);
+                } else if (notesText.trim()) {
+                    markdownContent.push(`\n### 备注\n`, notesText);
+                }
+            });
+
+            // Add notes at the end if the user config says so.
+            if (notesContent.length > 0)
+                markdownContent.push(`\n## 备注\n`, ...notesContent);
+
+            // Join all markdown content and clean up extra newlines
+            const finalMarkdown = markdownContent
+                .join(config.newlineDelimiter ?? "\n")
+                .replace(/\n{3,}/g, '\n\n') // Replace multiple newlines with double newlines
+                .trim();
+
+            // Respond by calling the Callback function with markdown content
+            callback(finalMarkdown, undefined);
+        })
+        .catch(e => callback(undefined, e))
+        .finally(() => zipfile?.close());
+}
+
+/** @typedef {Object} ChartData
+ * @property {string}                              title      Title of the chart, empty without one
+ * @property {string[]}                            types      Names of the chart types in the plot area, more than one for combination charts
+ * @property {{ position: string, title: string }[]} axes     Titled axes with their position, b, l, t or r
+ * @property {string[]}                            categories Category labels, or the x values of scatter charts
+ * @property {{ name: string, values: string[] }[]} series     Series with their values by category index
+ */
+
+/** Names of the chart types of DrawingML charts by the tag name of their plot element, bar charts depend on their direction */
+const CHART_TYPE_NAMES = {
+    "c:barChart": "柱形图", "c:bar3DChart": "三维柱形图", "c:lineChart": "折线图", "c:line3DChart": "三维折线图",
+    "c:pieChart": "饼图", "c:pie3DChart": "三维饼图", "c:ofPieChart": "复合饼图", "c:doughnutChart": "圆环图",
+    "c:areaChart": "面积图", "c:area3DChart": "三维面积图", "c:scatterChart": "散点图", "c:bubbleChart": "气泡图",
+    "c:radarChart": "雷达图", "c:stockChart": "股价图", "c:surfaceChart": "曲面图", "c:surface3DChart": "三维曲面图"
+};
+
+/** Parse a DrawingML chart part (c:chartSpace) into its title and the data cached for its series
+ * @param {string} chartXml The chart xml content
+ * @returns {ChartData}
+ */
+function parseChart(chartXml) {
+    const chartDoc = parseString(chartXml);
+    const chart = chartDoc.getElementsByTagName("c:chart")[0];
+    const date1904 = chartDoc.getElementsByTagName("c:date1904")[0]?.getAttribute("val") === "1";
+    /** @type {ChartData} */
+    const chartData = { title: "", types: [], axes: [], categories: [], series: [] };
+    if (!chart) return chartData;
+
+    /** Text of a title (c:title), either rich text or a reference to a cell */
+    const getTitleText = (/** @type {Element} */ title) => {
+        const richText = title.getElementsByTagName("c:rich")[0];
+        return richText
+            ? Array.from(richText.getElementsByTagName("a:p")).map(paragraph => getDrawingParagraphText(paragraph).trim()).filter(text => text).join(" ")
+            : getPoints(getChildElements(title, "c:tx")[0])[0] ?? "";
+    };
+
+    /** Values of a data source (c:tx, c:cat, c:val, ...) by point index, taken from its cache or literal values */
+    const getPoints = (/** @type {Element | undefined} */ source) => {
+        /** @type {string[]} */
+        const points = [];
+        if (!source) return points;
+        // Multi level categories keep the innermost level, which is the first one.
+        const container = ["c:strCache", "c:numCache", "c:strLit", "c:numLit", "c:lvl"]
+            .map(tagName => source.getElementsByTagName(tagName)[0])
+            .find(element => element);
+        if (!container) {
+            const value = getChildElements(source, "c:v")[0];
+            if (value) points.push(value.textContent ?? "");
+            return points;
+        }
+        const pointCount = parseInt(getChildElements(container, "c:ptCount")[0]?.getAttribute("val") || "0", 10);
+        for (let index = 0; index < pointCount; index++)
+            points[index] = "";
+        // Numbers are shown with the format code of their cache or point, like in the cells they come from.
+        const formatCode = getChildElements(container, "c:formatCode")[0]?.textContent ?? "";
+        getChildElements(container, "c:pt").forEach(point => {
+            const value = getChildElements(point, "c:v")[0]?.textContent ?? "";
+            const pointFormatCode = point.getAttribute("formatCode") || formatCode;
+            points[parseInt(point.getAttribute("idx") || "0", 10)] = container.nodeName === "c:numCache" || container.nodeName === "c:numLit"
+                ? value.trim() !== "" && !isNaN(Number(value)) ? formatExcelNumber(Number(value), pointFormatCode || "General", date1904) : value
+                : value;
+        });
+        return Array.from(points, point => point ?? "");
+    };
+
+    const plotArea = getChildElements(chart, "c:plotArea")[0];
+    getChildElements(plotArea ?? chart, "*").forEach(element => {
+        const typeName = CHART_TYPE_NAMES[element.nodeName];
+        // Bar charts with bars going sideways are bar charts, upright ones column charts.
+        const barDirection = getChildElements(element, "c:barDir")[0]?.getAttribute("val");
+        const name = barDirection === "bar" ? typeName?.replace("柱形图", "条形图") : typeName;
+        if (name && !chartData.types.includes(name))
+            chartData.types.push(name);
+
+        const axisTitle = ["c:catAx", "c:valAx", "c:dateAx", "c:serAx"].includes(element.nodeName) ? getChildElements(element, "c:title")[0] : undefined;
+        const axisTitleText = axisTitle ? getTitleText(axisTitle) : "";
+        if (axisTitleText)
+            chartData.axes.push({ position: getChildElements(element, "c:axPos")[0]?.getAttribute("val") || "b", title: axisTitleText });
+    });
+    (plotArea ? Array.from(plotArea.getElementsByTagName("c:ser")) : []).forEach(series => {
+        const categories = getPoints(getChildElements(series, "c:cat")[0] || getChildElements(series, "c:xVal")[0]);
+        if (categories.length > chartData.categories.length)
+            chartData.categories = categories;
+        chartData.series.push({
+            name: getPoints(getChildElements(series, "c:tx")[0])[0] || `系列 ${chartData.series.length + 1}`,
+            values: getPoints(getChildElements(series, "c:val")[0] || getChildElements(series, "c:yVal")[0])
+        });
+    });
+
+    // Titles are rich text or a reference to a cell. A title without text is the name of the only series.
+    const title = getChildElements(chart, "c:title")[0];
+    if (title) {
+        chartData.title = getTitleText(title);
+        if (!chartData.title && chartData.series.length === 1)
+            chartData.title = chartData.series[0].name;
+    }
+
+    return chartData;
+}
+
+/** Render chart data as a Markdown table of the series by category, below the chart title with its type and the titles of its axes
+ * @param {ChartData}          chartData Chart data from parseChart
+ * @param {OfficeParserConfig} config    Config Object for officeParser
+ * @returns {string} Markdown text, empty for charts without data
+ */
+function renderChartMarkdown(chartData, config) {
+    if (chartData.series.length === 0) return "";
+
+    const rowCount = Math.max(chartData.categories.length, ...chartData.series.map(series => series.values.length));
+    const toCell = (/** @type {string} */ text) => ({ text: text, colSpan: 1, rowSpan: 1 });
+    const rows = [
+        [toCell("类别"), ...chartData.series.map(series => toCell(series.name))],
+        ...Array.from({ length: rowCount }, (_, index) => [
+            toCell(chartData.categories[index] ?? `${index + 1}`),
+            ...chartData.series.map(series => toCell(series.values[index] ?? ""))
+        ])
+    ];
+
+    const types = chartData.types.length > 0 ? `（${chartData.types.join("、")}）` : "";
+    const heading = chartData.title ? `**图表：${chartData.title}**${types}` : `**图表**${types}`;
+    // Horizontal axes sit at the bottom or top of the plot area, vertical ones at its left or right.
+    const axes = chartData.axes
+        .map(axis => `${axis.position === "l" || axis.position === "r" ? "纵轴" : "横轴"}：${axis.title}`)
+        .join("；");
+    return `${heading}${config.newlineDelimiter ?? "\n"}${axes ? `${axes}${config.newlineDelimiter ?? "\n"}` : ""}${renderMarkdownTable(rows, 1, chartData.series.length + 1, config).trim()}`;
+}
+
+/** Parse the data model of a SmartArt diagram (dgm:dataModel) into a nested Markdown list following its parent-child connections
+ * @param {string}             dataXml The diagram data xml content
+ * @param {OfficeParserConfig} config  Config Object for officeParser
+ * @returns {string} Markdown list
+ */
+function parseDiagramData(dataXml, config) {
+    const doc = parseString(dataXml);
+
+    /** Text of the points keyed by their model id, with the document point as root */
+    const pointTexts = {};
+    let rootId = undefined;
+    Array.from(doc.getElementsByTagName("dgm:pt")).forEach(point => {
+        const type = point.getAttribute("type") || "node";
+        const modelId = point.getAttribute("modelId");
+        if (type === "doc")
+            rootId = modelId;
+        else if (type === "node" || type === "asst") {
+            const textBody = getChildElements(point, "dgm:t")[0];
+            pointTexts[modelId] = textBody
+                ? getChildElements(textBody, "a:p").map(paragraph => getDrawingParagraphText(paragraph).trim()).filter(text => text).join(" ")
+                : "";
+        }
+    });
+
+    /** Children of the points keyed by their model id, ordered by their source order */
+    const children = {};
+    Array.from(doc.getElementsByTagName("dgm:cxn"))
+        .filter(connection => (connection.getAttribute("type") || "parOf") === "parOf")
+        .sort((a, b) => parseInt(a.getAttribute("srcOrd") || "0", 10) - parseInt(b.getAttribute("srcOrd") || "0", 10))
+        .forEach(connection => {
+            const sourceId = connection.getAttribute("srcId");
+            (children[sourceId] = children[sourceId] || []).push(connection.getAttribute("destId"));
+        });
+
+    /** @type {string[]} */
+    const lines = [];
+    const visited = new Set();
+    const walk = (/** @type {string} */ pointId, /** @type {number} */ depth) => {
+        (children[pointId] || []).forEach(childId => {
+            if (visited.has(childId) || pointTexts[childId] === undefined) return;
+            visited.add(childId);
+            // Points without text do not get an item, their children take their place.
+            if (pointTexts[childId]) {
+                lines.push(`${"    ".repeat(depth)}- ${pointTexts[childId]}`);
+                walk(childId, depth + 1);
+            } else
+                walk(childId, depth);
+        });
+    };
+    if (rootId !== undefined)
+        walk(rootId, 0);
+
+    return lines.join(config.newlineDelimiter ?? "\n");
+}
+
+/** @typedef {Object} PowerPointLayout
+ * @property {Element[]}           layoutPlaceholders Placeholder shapes of the slide layout of a slide
+ * @property {Element[]}           masterPlaceholders Placeholder shapes of the slide master of that layout
+ * @property {Element | undefined} masterTextStyles   Text styles (p:txStyles) of the slide master
+ */
+
+/** @typedef {Object} PowerPointParts
+ * @property {Object<string, Relationship>}          relationships Relationships of the slide
+ * @property {(path: string) => string | undefined} getContent    Content of a part of the package by its path
+ */
+
+/** Placeholder types that only repeat slide decoration like the date and the slide number */
+const POWERPOINT_DECORATION_PLACEHOLDERS = ["dt", "sldNum", "hdr", "sldImg"];
+
+/** Get the markdown text of a PowerPoint slide or notes slide.
+ * Shapes are read top-to-bottom, left-to-right. The title placeholder is returned separately for the slide heading,
+ * body placeholders and bulleted text become (nested) lists, tables and charts become Markdown tables, SmartArt diagrams nested lists,
+ * images Markdown image placeholders with their alt text and everything else plain paragraphs.
+ * @param {string}                       xmlContent The slide or notes slide xml content
+ * @param {boolean}                      isNotes    Flag whether the content is a notes slide, which only has plain paragraphs
+ * @param {PowerPointLayout | undefined} layout     Layout and master placeholders the shapes of a slide inherit from
+ * @param {PowerPointParts | undefined}  parts      Relationships of the slide to the charts, diagrams and images it shows
+ * @param {OfficeParserConfig}           config     Config Object for officeParser
+ * @returns {{ title: string, text: string }} Title and markdown text
+ */
+function getPowerPointText(xmlContent, isNotes, layout, parts, config) {
+    const shapeTree = parseString(xmlContent).getElementsByTagName("p:spTree")[0];
+    /** Title of the slide, from its title placeholder */
+    let title = "";
+    /** Markdown blocks of the slide */
+    const blocks = [];
+
+    const renderShapes = (/** @type {Element} */ container) => {
+        getPowerPointShapes(container, layout).forEach(shape => {
+            if (shape.nodeName === "p:grpSp") {
+                renderShapes(shape);
+                return;
+            }
+
+            if (shape.nodeName === "p:pic") {
+                const image = getPowerPointImage(shape, parts);
+                if (image) blocks.push(image);
+                return;
+            }
+
+            // Charts and SmartArt diagrams live in parts of their own, referenced by the graphic frame.
+            const chartReference = shape.nodeName === "p:graphicFrame" ? shape.getElementsByTagName("c:chart")[0] : undefined;
+            if (chartReference) {
+                const chartContent = parts?.getContent(parts.relationships[chartReference.getAttribute("r:id")]?.path ?? "");
+                const chartMarkdown = chartContent ? renderChartMarkdown(parseChart(chartContent), config) : "";
+                if (chartMarkdown) blocks.push(chartMarkdown);
+                return;
+            }
+            const diagramReference = shape.nodeName === "p:graphicFrame" ? shape.getElementsByTagName("dgm:relIds")[0] : undefined;
+            if (diagramReference) {
+                const dataContent = parts?.getContent(parts.relationships[diagramReference.getAttribute("r:dm")]?.path ?? "");
+                const diagramMarkdown = dataContent ? parseDiagramData(dataContent, config) : "";
+                if (diagramMarkdown) blocks.push(diagramMarkdown);
+                return;
+            }
+
+            const table = shape.nodeName === "p:graphicFrame" ? shape.getElementsByTagName("a:tbl")[0] : undefined;
+            if (table) {
+                const { rows, headerRowCount, columnCount } = layoutPowerPointTable(table);
+                const markdownTable = renderMarkdownTable(rows, headerRowCount, columnCount, config).trim();
+                if (markdownTable)
+                    blocks.push(markdownTable);
+                return;
+            }
+
+            const textBody = getChildElements(shape, "p:txBody")[0];
+            if (shape.nodeName !== "p:sp" || !textBody) {
+                // Other shapes without a text body of their own, like graphic frames of embedded objects, only give their paragraphs.
+                Array.from(shape.getElementsByTagName("a:p"))
+                    .map(paragraph => getDrawingParagraphText(paragraph))
+                    .filter(paragraphText => paragraphText.trim())
+                    .forEach(paragraphText => blocks.push(isNotes ? paragraphText : `- ${paragraphText}`));
+                return;
+            }
+
+            const placeholder = getPowerPointPlaceholder(shape);
+            if (placeholder && POWERPOINT_DECORATION_PLACEHOLDERS.includes(placeholder.type))
+                return;
+
+            const paragraphs = getChildElements(textBody, "a:p").filter(paragraph => getDrawingParagraphText(paragraph).trim());
+            if (paragraphs.length === 0)
+                return;
+
+            if (!isNotes && placeholder && (placeholder.type === "title" || placeholder.type === "ctrTitle")) {
+                const titleText = paragraphs.map(paragraph => getDrawingParagraphText(paragraph).trim()).join(" ");
+                if (title) blocks.push(titleText);
+                else title = titleText;
+                return;
+            }
+
+            const listState = createListState();
+            /** Numbers of the auto numbered paragraphs, by level */
+            const counters = [];
+            const shapeBlocks = paragraphs.map(paragraph => {
+                const paragraphText = getDrawingParagraphText(paragraph).trim();
+                const level = Math.min(parseInt(getChildElements(paragraph, "a:pPr")[0]?.getAttribute("lvl") || "0", 10) || 0, 8);
+                const bullet = isNotes ? undefined : getPowerPointBullet(paragraph, level, shape, placeholder, layout);
+                counters.length = level + 1;
+                if (!bullet) {
+                    listState.depth = -1;
+                    counters[level] = undefined;
+                    return paragraphText;
+                }
+                if (bullet.nodeName !== "a:buAutoNum") {
+                    counters[level] = undefined;
+                    return applyListFormatting(paragraphText, { label: "", isBullet: true, ilvl: level }, listState);
+                }
+                counters[level] = counters[level] === undefined ? parseInt(bullet.getAttribute("startAt") || "1", 10) : counters[level] + 1;
+                return applyListFormatting(paragraphText, { label: formatPowerPointNumber(counters[level], bullet.getAttribute("type") || ""), isBullet: false, ilvl: level }, listState);
+            });
+            blocks.push(shapeBlocks.join(config.newlineDelimiter ?? "\n"));
+        });
+    };
+
+    if (shapeTree)
+        renderShapes(shapeTree);
+
+    return { title: title, text: blocks.join(config.newlineDelimiter ?? "\n") };
+}
+
+/** Get a Markdown image placeholder for a picture, with its alt text (descr or title) and the path of the image within the package
+ * @param {Element}                     picture The p:pic element
+ * @param {PowerPointParts | undefined} parts   Relationships of the slide
+ * @returns {string | undefined} Markdown image, undefined for pictures marked as decorative
+ */
+function getPowerPointImage(picture, parts) {
+    const nonVisualProperties = getChildElements(picture, "p:nvPicPr")[0];
+    const properties = nonVisualProperties && getChildElements(nonVisualProperties, "p:cNvPr")[0];
+    if (properties && properties.getElementsByTagName("adec:decorative")[0]?.getAttribute("val") === "1")
+        return undefined;
+
+    const altText = (properties?.getAttribute("descr") || properties?.getAttribute("title") || "").replace(/\s+/g, " ").trim();
+    const blip = picture.getElementsByTagName("a:blip")[0];
+    const imagePath = blip && parts ? parts.relationships[blip.getAttribute("r:embed") || blip.getAttribute("r:link")]?.path ?? "" : "";
+    return `![${altText.replace(/[[\]]/g, "\\$&")}](${imagePath.replace(/ /g, "%20")})`;
+}
+
+/** Lay out the cells of a PowerPoint table on its grid. Cells covered by a merged cell are kept in the table as a:tc marked with hMerge or vMerge.
+ * @param {Element} tableElement The a:tbl element
+ * @returns {{ rows: TableCell[][], headerRowCount: number, columnCount: number }} Grid of cells
+ */
+function layoutPowerPointTable(tableElement) {
+    const tableGrid = getChildElements(tableElement, "a:tblGrid")[0];
+    let columnCount = tableGrid ? getChildElements(tableGrid, "a:gridCol").length : 0;
+
+    /** @type {TableCell[][]} */
+    const rows = [];
+    getChildElements(tableElement, "a:tr").forEach((row, rowIndex) => {
+        /** @type {TableCell[]} */
+        const rowData = [];
+        getChildElements(row, "a:tc").forEach((cell, col) => {
+            const isMerged = (/** @type {string} */ attribute) => cell.getAttribute(attribute) === "1" || cell.getAttribute(attribute) === "true";
+            const left = rowData[col - 1];
+            const above = rows[rowIndex - 1]?.[col];
+
+            if (isMerged("hMerge") && left) {
+                rowData[col] = { text: "", colSpan: 1, rowSpan: 1, origin: left.origin ?? left };
+            } else if (isMerged("vMerge") && above) {
+                rowData[col] = { text: "", colSpan: 1, rowSpan: 1, origin: above.origin ?? above };
+            } else {
+                const textBody = getChildElements(cell, "a:txBody")[0];
+                const text = (textBody ? getChildElements(textBody, "a:p") : [])
+                    .map(paragraph => getDrawingParagraphText(paragraph).trim())
+                    .filter(paragraphText => paragraphText)
+                    .join("<br>");
+                rowData[col] = {
+                    text: text,
+                    colSpan: Math.max(parseInt(cell.getAttribute("gridSpan") || "1", 10), 1),
+                    rowSpan: Math.max(parseInt(cell.getAttribute("rowSpan") || "1", 10), 1)
+                };
+            }
+        });
+        rows.push(rowData);
+        columnCount = Math.max(columnCount, rowData.length);
+    });
+
+    // Tables formatted with a special first row have it as header.
+    const tableProperties = getChildElements(tableElement, "a:tblPr")[0];
+    const firstRow = tableProperties?.getAttribute("firstRow");
+    return { rows: rows, headerRowCount: firstRow === "1" || firstRow === "true" ? Math.min(rows.length, 1) : 0, columnCount: columnCount };
+}
+
+/** Get the shapes of a shape tree or group shape in reading order, top-to-bottom and left-to-right by their position
+ * @param {Element}                      container The p:spTree or p:grpSp element
+ * @param {PowerPointLayout | undefined} layout    Layout and master placeholders the shapes inherit their position from
+ * @returns {Element[]} Shapes, group shapes and graphic frames
+ */
+function getPowerPointShapes(container, layout) {
+    /** @type {Element[]} */
+    const shapes = [];
+    getChildElements(container, "*").forEach(child => {
+        if (child.nodeName === "mc:AlternateContent") {
+            const alternateContent = getAlternateContent(child);
+            if (alternateContent)
+                shapes.push(...getChildElements(alternateContent, "*"));
+        }
+        else if (["p:sp", "p:grpSp", "p:graphicFrame", "p:cxnSp", "p:pic"].includes(child.nodeName))
+            shapes.push(child);
+    });
+
+    // Array sort is stable, shapes without a position keep their order.
+    const positions = new Map(shapes.map(shape => [shape, getPowerPointPosition(shape, layout)]));
+    return shapes.sort((a, b) => {
+        const positionA = positions.get(a);
+        const positionB = positions.get(b);
+        if (!positionA || !positionB) return 0;
+        return positionA.y - positionB.y || positionA.x - positionB.x;
+    });
+}
+
+/** Get the position of a shape, which placeholders without their own position inherit from the layout or the master
+ * @param {Element}                      shape  The shape element
+ * @param {PowerPointLayout | undefined} layout Layout and master placeholders
+ * @returns {{ x: number, y: number } | undefined} Offset of the shape in EMUs
+ */
+function getPowerPointPosition(shape, layout) {
+    const getOffset = (/** @type {Element | undefined} */ element) => {
+        if (!element) return undefined;
+        const properties = getChildElements(element, "p:spPr")[0] || getChildElements(element, "p:grpSpPr")[0] || element;
+        const transform = getChildElements(properties, "a:xfrm")[0] || getChildElements(properties, "p:xfrm")[0];
+        const offset = transform && getChildElements(transform, "a:off")[0];
+        return offset ? { x: parseInt(offset.getAttribute("x") || "0", 10), y: parseInt(offset.getAttribute("y") || "0", 10) } : undefined;
+    };
+
+    const placeholder = getPowerPointPlaceholder(shape);
+    return getOffset(shape)
+        ?? (placeholder && layout ? getOffset(findPowerPointPlaceholder(layout.layoutPlaceholders, placeholder, true)) : undefined)
+        ?? (placeholder && layout ? getOffset(findPowerPointPlaceholder(layout.masterPlaceholders, placeholder, false)) : undefined);
+}
+
+/** Get the placeholder type and index of a shape
+ * @param {Element} shape The shape element
+ * @returns {{ type: string, idx: string | undefined } | undefined} Placeholder information, undefined if the shape is no placeholder
+ */
+function getPowerPointPlaceholder(shape) {
+    const nonVisualProperties = getChildElements(shape, "p:nvSpPr")[0];
+    const properties = nonVisualProperties && getChildElements(nonVisualProperties, "p:nvPr")[0];
+    const placeholder = properties && getChildElements(properties, "p:ph")[0];
+    if (!placeholder) return undefined;
+    // Placeholders without a type are body placeholders.
+    return { type: placeholder.getAttribute("type") || "body", idx: placeholder.getAttribute("idx") || undefined };
+}
+
+/** Find the placeholder of a layout or master that a slide placeholder inherits from
+ * @param {Element[]} placeholders Placeholder shapes of the layout or master
+ * @param {{ type: string, idx: string | undefined }} placeholder Placeholder information of the slide shape
+ * @param {boolean}   matchIndex   Flag whether placeholders are matched by their index first, masters are only matched by type
+ * @returns {Element | undefined} Matching placeholder shape
+ */
+function findPowerPointPlaceholder(placeholders, placeholder, matchIndex) {
+    /** Masters only have the generic title and body placeholders */
+    const getMasterType = (/** @type {string} */ type) => type === "ctrTitle" ? "title" : ["subTitle", "obj"].includes(type) ? "body" : type;
+    if (matchIndex && placeholder.idx !== undefined) {
+        const indexMatch = placeholders.find(shape => getPowerPointPlaceholder(shape)?.idx === placeholder.idx);
+        if (indexMatch) return indexMatch;
+    }
+    return placeholders.find(shape => getPowerPointPlaceholder(shape)?.type === placeholder.type)
+        ?? placeholders.find(shape => getMasterType(getPowerPointPlaceholder(shape)?.type ?? "") === getMasterType(placeholder.type));
+}
+
+/** Get the bullet of a paragraph, inherited through the list styles of the shape, its layout and master placeholders and the master text styles
+ * @param {Element}                      paragraph   The a:p element
+ * @param {number}                       level       Indent level of the paragraph, 0 based
+ * @param {Element}                      shape       The shape holding the paragraph
+ * @param {{ type: string, idx: string | undefined } | undefined} placeholder Placeholder information of the shape
+ * @param {PowerPointLayout | undefined} layout      Layout and master placeholders
+ * @returns {Element | undefined} The a:buChar, a:buAutoNum or a:buBlip element, undefined for paragraphs without bullet
+ */
+function getPowerPointBullet(paragraph, level, shape, placeholder, layout) {
+    const levelTag = `a:lvl${level + 1}pPr`;
+    const getListLevel = (/** @type {Element | undefined} */ element) => {
+        const textBody = element && getChildElements(element, "p:txBody")[0];
+        const listStyle = textBody && getChildElements(textBody, "a:lstStyle")[0];
+        return listStyle && getChildElements(listStyle, levelTag)[0];
+    };
+
+    /** Paragraph properties from the most to the least specific */
+    const propertiesChain = [getChildElements(paragraph, "a:pPr")[0], getListLevel(shape)];
+    if (placeholder && layout) {
+        propertiesChain.push(getListLevel(findPowerPointPlaceholder(layout.layoutPlaceholders, placeholder, true)));
+        propertiesChain.push(getListLevel(findPowerPointPlaceholder(layout.masterPlaceholders, placeholder, false)));
+    }
+    if (layout && layout.masterTextStyles) {
+        // Titles use the title style, other placeholders the body style and the remaining shapes the other style of the master.
+        const styleName = !placeholder ? "p:otherStyle" : ["title", "ctrTitle"].includes(placeholder.type) ? "p:titleStyle" : "p:bodyStyle";
+        const textStyle = getChildElements(layout.masterTextStyles, styleName)[0];
+        propertiesChain.push(textStyle && getChildElements(textStyle, levelTag)[0]);
+    }
+
+    for (const properties of propertiesChain) {
+        const bullet = properties && getChildElements(properties, "*").find(child => ["a:buNone", "a:buChar", "a:buAutoNum", "a:buBlip"].includes(child.nodeName));
+        if (bullet)
+            return bullet.nodeName === "a:buNone" ? undefined : bullet;
+    }
+    return undefined;
+}
+
+/** Format the number of an auto numbered PowerPoint paragraph
+ * @param {number} value Number of the paragraph
+ * @param {string} type  Auto numbering scheme, like arabicPeriod or romanLcParenR
+ * @returns {string} Numbering label
+ */
+function formatPowerPointNumber(value, type) {
+    const schemes = { arabic: "decimal", alphaLc: "lowerLetter", alphaUc: "upperLetter", romanLc: "lowerRoman", romanUc: "upperRoman" };
+    const [, scheme, suffix] = type.match(/^(arabic|alphaLc|alphaUc|romanLc|romanUc)(Period|ParenR|ParenBoth|Plain)?/) || [];
+    const number = formatListNumber(value, schemes[scheme] ?? "decimal");
+    return suffix === "ParenBoth" ? `(${number})` : suffix === "ParenR" ? `${number})` : suffix === "Plain" ? number : `${number}.`;
+}
+
+/** Get the text of a DrawingML paragraph, as used by slides, charts and diagrams, with its line breaks as spaces
+ * @param {Element} paragraph The a:p element
+ * @returns {string} Paragraph text
+ */
+function getDrawingParagraphText(paragraph) {
+    let text = "";
+    getChildElements(paragraph, "*").forEach(child => {
+        if (child.nodeName === "a:r" || child.nodeName === "a:fld")
+            text += getChildElements(child, "a:t").map(textNode => textNode.textContent ?? "").join("");
+        else if (child.nodeName === "a:br" && text && !/\s$/.test(text))
+            text += " ";
+    });
+    return text;
+}
+
+/** Number formats built into Excel keyed by their numFmtId. The locale dependent short date (14, 22) uses ISO order,
+ * the East Asian ones (27-36, 50-58) their Chinese form. */
+const EXCEL_BUILTIN_NUMBER_FORMATS = {
+    0: "General", 1: "0", 2: "0.00", 3: "#,##0", 4: "#,##0.00", 9: "0%", 10: "0.00%", 11: "0.00E+00", 12: "# ?/?", 13: "# ??/??",
+    14: "yyyy-mm-dd", 15: "d-mmm-yy", 16: "d-mmm", 17: "mmm-yy", 18: "h:mm AM/PM", 19: "h:mm:ss AM/PM", 20: "h:mm", 21: "h:mm:ss", 22: "yyyy-mm-dd h:mm",
+    27: 'yyyy"年"m"月"', 28: 'm"月"d"日"', 29: 'm"月"d"日"', 30: "m-d-yy", 31: 'yyyy"年"m"月"d"日"', 32: 'h"时"mm"分"', 33: 'h"时"mm"分"ss"秒"',
+    34: 'h"时"mm"分"', 35: 'h"时"mm"分"ss"秒"', 36: 'yyyy"年"m"月"', 37: "#,##0 ;(#,##0)", 38: "#,##0 ;[Red](#,##0)", 39: "#,##0.00;(#,##0.00)",
+    40: "#,##0.00;[Red](#,##0.00)", 45: "mm:ss", 46: "[h]:mm:ss", 47: "mm:ss.0", 48: "##0.0E+0", 49: "@",
+    50: 'yyyy"年"m"月"', 51: 'm"月"d"日"', 52: 'yyyy"年"m"月"', 53: 'm"月"d"日"', 54: 'm"月"d"日"', 55: 'h"时"mm"分"', 56: 'h"时"mm"分"ss"秒"',
+    57: 'yyyy"年"m"月"', 58: 'm"月"d"日"'
+};
+
+/** Parse xl/styles.xml into the number format code of every cell format (cellXfs), indexed like the s attribute of the cells
+ * @param {string | undefined} stylesXml The styles xml content. An undefined value gives no cell formats.
+ * @returns {string[]} Number format codes
+ */
+function parseExcelStyles(stylesXml) {
+    if (stylesXml == undefined) return [];
+    const doc = parseString(stylesXml);
+
+    /** Custom number formats keyed by their numFmtId */
+    const numberFormats = { ...EXCEL_BUILTIN_NUMBER_FORMATS };
+    Array.from(doc.getElementsByTagName("numFmt")).forEach(numFmt => {
+        numberFormats[numFmt.getAttribute("numFmtId") ?? ""] = numFmt.getAttribute("formatCode") ?? "General";
+    });
+
+    const cellXfs = doc.getElementsByTagName("cellXfs")[0];
+    return (cellXfs ? getChildElements(cellXfs, "xf") : [])
+        .map(xf => numberFormats[xf.getAttribute("numFmtId") || "0"] ?? "General");
+}
+
+/** Split a number format code into its sections (positive;negative;zero;text) and each section into characters
+ * that are either format codes or literal text. Colors, conditions and locales in brackets are dropped, apart from currency symbols.
+ * @param {string} formatCode Number format code
+ * @returns {{ character: string, isLiteral: boolean }[][]} Characters of every section
+ */
+function tokenizeExcelNumberFormat(formatCode) {
+    /** @type {{ character: string, isLiteral: boolean }[][]} */
+    const sections = [[]];
+    const pushCharacters = (/** @type {string} */ text, /** @type {boolean} */ isLiteral) =>
+        Array.from(text).forEach(character => sections[sections.length - 1].push({ character, isLiteral }));
+
+    for (let index = 0; index < formatCode.length; index++) {
+        const character = formatCode[index];
+        if (character === '"') {
+            const end = formatCode.indexOf('"', index + 1);
+            pushCharacters(formatCode.slice(index + 1, end < 0 ? undefined : end), true);
+            index = end < 0 ? formatCode.length : end;
+        } else if (character === "\\") {
+            pushCharacters(formatCode[++index] ?? "", true);
+        } else if (character === "_") {
+            // Space as wide as the next character
+            pushCharacters(" ", true);
+            index++;
+        } else if (character === "*") {
+            // Repeat the next character to fill the cell
+            index++;
+        } else if (character === "[") {
+            const end = formatCode.indexOf("]", index);
+            const content = formatCode.slice(index + 1, end < 0 ? undefined : end);
+            if (/^(h+|m+|s+)$/i.test(content))
+                pushCharacters(`[${content.toLowerCase()}]`, false);
+            else if (content.startsWith("$"))
+                pushCharacters(content.slice(1).split("-")[0], true);
+            index = end < 0 ? formatCode.length : end;
+        } else if (character === ";") {
+            sections.push([]);
+        } else {
+            pushCharacters(character, false);
+        }
+    }
+    return sections;
+}
+
+/** Format a cell value the way Excel displays it with a number format code
+ * @param {number}  value      The numeric value of the cell, dates being serial numbers
+ * @param {string}  formatCode Number format code
+ * @param {boolean} date1904   Flag whether the workbook counts dates from 1904 instead of 1900
+ * @returns {string} Displayed value
+ */
+function formatExcelNumber(value, formatCode, date1904) {
+    if (!isFinite(value)) return String(value);
+    const sections = tokenizeExcelNumberFormat(formatCode);
+
+    // Negative numbers and zero use their own section when there is one, the negative section shows the value without its sign.
+    let section = sections[0];
+    let absoluteValue = value;
+    let sign = value < 0 ? "-" : "";
+    if (value < 0 && sections.length > 1 && sections[1].length > 0) {
+        section = sections[1];
+        absoluteValue = -value;
+        sign = "";
+    } else if (value === 0 && sections.length > 2 && sections[2].length > 0) {
+        section = sections[2];
+    }
+
+    const codeText = section.filter(token => !token.isLiteral).map(token => token.character).join("");
+    if (codeText.trim() === "" && section.length > 0)
+        return section.map(token => token.character).join("");
+    // General shows the number without the floating point noise beyond 15 significant digits.
+    if (/^general$/i.test(codeText.trim()) || section.length === 0 || codeText === "@")
+        return `${Number(value.toPrecision(15))}`;
+    if (/[ymdhs]/i.test(codeText.replace(/E[+-]/gi, "")))
+        return formatExcelDate(value, section, date1904);
+    return sign + formatExcelDecimal(sign ? -value : absoluteValue, section);
+}
+
+/** Format a non negative number with the numeric section of a number format
+ * @param {number} value   Non negative value
+ * @param {{ character: string, isLiteral: boolean }[]} section Characters of the format section
+ * @returns {string} Displayed value
+ */
+function formatExcelDecimal(value, section) {
+    const isPlaceholder = (/** @type {{ character: string, isLiteral: boolean }} */ token) => !token.isLiteral && /[0#?]/.test(token.character);
+    const first = section.findIndex(isPlaceholder);
+    let last = section.length - 1;
+    while (last >= 0 && !isPlaceholder(section[last])) last--;
+
+    // Every percent sign multiplies by 100, every comma after the digits divides by 1000.
+    let scaledValue = value * Math.pow(100, section.filter(token => !token.isLiteral && token.character === "%").length);
+    let suffixStart = last + 1;
+    while (first >= 0 && section[suffixStart] && !section[suffixStart].isLiteral && section[suffixStart].character === ",") {
+        scaledValue /= 1000;
+        suffixStart++;
+    }
+
+    const toText = (/** @type {{ character: string, isLiteral: boolean }[]} */ tokens) => tokens.map(token => token.character).join("");
+    if (first < 0)
+        return toText(section);
+
+    const prefix = toText(section.slice(0, first));
+    const suffix = toText(section.slice(suffixStart));
+    const pattern = section.slice(first, last + 1).filter(token => !token.isLiteral).map(token => token.character).join("");
+
+    // Scientific notation
+    const exponentMatch = pattern.match(/^([^E]*)E([+-])(.*)$/i);
+    if (exponentMatch) {
+        const mantissaDecimals = (exponentMatch[1].split(".")[1] ?? "").length;
+        let exponent = scaledValue === 0 ? 0 : Math.floor(Math.log10(scaledValue));
+        // Engineering formats like ##0.0E+0 keep the exponent a multiple of the integer digits.
+        const integerDigits = exponentMatch[1].split(".")[0].length;
+        if (integerDigits > 1) exponent = Math.floor(exponent / integerDigits) * integerDigits;
+        const mantissa = (scaledValue / Math.pow(10, exponent)).toFixed(mantissaDecimals);
+        const exponentText = `${Math.abs(exponent)}`.padStart(exponentMatch[3].length, "0");
+        return `${prefix}${mantissa}E${exponent < 0 ? "-" : exponentMatch[2] === "+" ? "+" : ""}${exponentText}${suffix}`;
+    }
+
+    // Fractions, with the denominator either fixed or limited by its number of digits
+    const fractionMatch = pattern.match(/^(?:([#0?,]+)\s+)?([#0?]+)\/([#0?]+|\d+)$/);
+    if (fractionMatch) {
+        const wholePart = fractionMatch[1] ? Math.floor(scaledValue) : 0;
+        const fractionPart = scaledValue - wholePart;
+        let bestNumerator = 0;
+        let bestDenominator = 1;
+        if (/^\d+$/.test(fractionMatch[3])) {
+            bestDenominator = parseInt(fractionMatch[3], 10);
+            bestNumerator = Math.round(fractionPart * bestDenominator);
+        } else {
+            const maxDenominator = Math.pow(10, fractionMatch[3].length) - 1;
+            for (let denominator = 1; denominator <= maxDenominator; denominator++) {
+                const numerator = Math.round(fractionPart * denominator);
+                if (Math.abs(fractionPart - numerator / denominator) < Math.abs(fractionPart - bestNumerator / bestDenominator)) {
+                    bestNumerator = numerator;
+                    bestDenominator = denominator;
+                }
+            }
+        }
+        if (bestNumerator === 0)
+            return `${prefix}${fractionMatch[1] ? wholePart : 0}${suffix}`;
+        return `${prefix}${wholePart ? `${wholePart} ` : ""}${bestNumerator}/${bestDenominator}${suffix}`;
+    }
+
+    const [integerPattern, decimalPattern = ""] = pattern.split(".");
+    const maxDecimals = (decimalPattern.match(/[0#?]/g) || []).length;
+    const minDecimals = (decimalPattern.match(/[0?]/g) || []).length;
+    let [integerText, decimalText = ""] = scaledValue.toFixed(maxDecimals).split(".");
+    while (decimalText.length > minDecimals && decimalText.endsWith("0"))
+        decimalText = decimalText.slice(0, -1);
+
+    const minIntegerDigits = (integerPattern.match(/[0?]/g) || []).length;
+    if (integerText === "0" && minIntegerDigits === 0)
+        integerText = "";
+    integerText = integerText.padStart(minIntegerDigits, "0");
+    if (integerPattern.includes(","))
+        integerText = integerText.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+
+    return `${prefix}${integerText}${decimalText ? `.${decimalText}` : pattern.includes(".") && !decimalPattern ? "." : ""}${suffix}`;
+}
+
+/** Format a date serial number with the date section of a number format
+ * @param {number}  serial   Days since the epoch of the workbook, with the time as fraction
+ * @param {{ character: string, isLiteral: boolean }[]} section Characters of the format section
+ * @param {boolean} date1904 Flag whether the workbook counts dates from 1904 instead of 1900
+ * @returns {string} Displayed date
+ */
+function formatExcelDate(serial, section, date1904) {
+    const date = getExcelDate(serial, date1904);
+    const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+    const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+    // Group the format characters into date tokens, literal text stays as it is.
+    /** @type {{ token: string, isLiteral: boolean }[]} */
+    const tokens = [];
+    const codeRegex = /^(\[h+\]|\[m+\]|\[s+\]|y+|m+|d+|h+|s+|am\/pm|a\/p|\.0+)/i;
+    let index = 0;
+    while (index < section.length) {
+        if (section[index].isLiteral) {
+            tokens.push({ token: section[index].character, isLiteral: true });
+            index++;
+            continue;
+        }
+        let code = "";
+        for (let end = index; end < section.length && !section[end].isLiteral; end++)
+            code += section[end].character;
+        const match = code.match(codeRegex);
+        const token = match ? match[1] : code[0];
+        tokens.push({ token: token, isLiteral: !match });
+        index += token.length;
+    }
+
+    const hasMeridiem = tokens.some(({ token, isLiteral }) => !isLiteral && /^(am\/pm|a\/p)$/i.test(token));
+    const hasFractionalSeconds = tokens.some(({ token, isLiteral }) => !isLiteral && token.startsWith("."));
+    // Without fractional seconds, the time is rounded to the second.
+    const time = hasFractionalSeconds ? date : new Date(Math.round(date.getTime() / 1000) * 1000);
+    const dateTokens = tokens.filter(({ isLiteral }) => !isLiteral).map(({ token }) => token.toLowerCase());
+
+    return tokens.map(({ token, isLiteral }, tokenIndex) => {
+        if (isLiteral) return token;
+        const lowerToken = token.toLowerCase();
+        const position = tokens.slice(0, tokenIndex).filter(({ isLiteral }) => !isLiteral).length;
+        const pad = (/** @type {number} */ number, /** @type {number} */ length) => `${number}`.padStart(length, "0");
+
+        switch (lowerToken[0]) {
+            case "y":
+                return lowerToken.length <= 2 ? pad(time.getUTCFullYear() % 100, 2) : `${time.getUTCFullYear()}`;
+            case "m": {
+                // m and mm are minutes right after hours or right before seconds.
+                const previous = dateTokens[position - 1] ?? "";
+                const next = dateTokens[position + 1] ?? "";
+                if (lowerToken.length <= 2 && (/^\[?h/.test(previous) || /^\[?s/.test(next)))
+                    return pad(time.getUTCMinutes(), lowerToken.length);
+                if (lowerToken.length === 1) return `${time.getUTCMonth() + 1}`;
+                if (lowerToken.length === 2) return pad(time.getUTCMonth() + 1, 2);
+                if (lowerToken.length === 3) return monthNames[time.getUTCMonth()].slice(0, 3);
+                if (lowerToken.length === 5) return monthNames[time.getUTCMonth()][0];
+                return monthNames[time.getUTCMonth()];
+            }
+            case "d":
+                if (lowerToken.length <= 2) return pad(time.getUTCDate(), lowerToken.length);
+                return lowerToken.length === 3 ? dayNames[time.getUTCDay()].slice(0, 3) : dayNames[time.getUTCDay()];
+            case "h": {
+                const hours = hasMeridiem ? (time.getUTCHours() % 12 || 12) : time.getUTCHours();
+                return pad(hours, lowerToken.length);
+            }
+            case "s":
+                return pad(time.getUTCSeconds(), lowerToken.length);
+            case "[": {
+                // Elapsed time
+                const totalSeconds = Math.round(serial * 86400);
+                const elapsed = lowerToken[1] === "h" ? Math.floor(totalSeconds / 3600) : lowerToken[1] === "m" ? Math.floor(totalSeconds / 60) : totalSeconds;
+                return pad(elapsed, lowerToken.length - 2);
+            }
+            case "a":
+                if (lowerToken === "a/p") return time.getUTCHours() < 12 ? token[0] : token[2];
+                return time.getUTCHours() < 12 ? "AM" : "PM";
+            case ".":
+                return "." + pad(time.getUTCMilliseconds(), 3).slice(0, lowerToken.length - 1);
+        }
+        return token;
+    }).join("");
+}
+
+/** Convert a date serial number to a date, in UTC to be independent of the time zone
+ * @param {number}  serial   Days since the epoch of the workbook, with the time as fraction
+ * @param {boolean} date1904 Flag whether the workbook counts dates from 1904 instead of 1900
+ * @returns {Date}
+ */
+function getExcelDate(serial, date1904) {
+    // The 1900 date system counts the non existent 29 February 1900, so serial numbers before it are a day off.
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : serial < 60 ? Date.UTC(1899, 11, 31) : Date.UTC(1899, 11, 30);
+    return new Date(epoch + Math.round(serial * 86400000));
+}
+
+/** Format a date serial number as ISO 8601, leaving out the time at midnight and the date for times of the day
+ * @param {number}  serial   Days since the epoch of the workbook, with the time as fraction
+ * @param {boolean} date1904 Flag whether the workbook counts dates from 1904 instead of 1900
+ * @returns {string} ISO 8601 date, date and time or time
+ */
+function formatExcelIsoDate(serial, date1904) {
+    const isoText = new Date(Math.round(getExcelDate(serial, date1904).getTime() / 1000) * 1000).toISOString().replace(/\.000Z$/, "").replace(/Z$/, "");
+    if (serial >= 0 && serial < 1) return isoText.split("T")[1];
+    return isoText.endsWith("T00:00:00") ? isoText.split("T")[0] : isoText;
+}
+
+/** Check whether a number format code shows dates or times
+ * @param {string} formatCode Number format code
+ * @returns {boolean}
+ */
+function isExcelDateFormat(formatCode) {
+    const codeText = tokenizeExcelNumberFormat(formatCode)[0].filter(token => !token.isLiteral).map(token => token.character).join("");
+    return !/^general$/i.test(codeText.trim()) && /[ymdhs]/i.test(codeText.replace(/E[+-]/gi, ""));
+}
+
+/** Get the text of a spreadsheet string, either a shared string (si) or an inline string (is). Rich text strings concatenate
+ * the text of their runs and phonetic guides (rPh) are left out.
+ * @param {Element}            stringItem The si or is element
+ * @param {OfficeParserConfig} config     Config Object for officeParser, cellFormatting renders bold, italic and struck through runs as markdown emphasis
+ * @returns {string} Text of the string
+ */
+function getExcelStringText(stringItem, config) {
+    const getText = (/** @type {Element} */ element) => getChildElements(element, "t").map(textNode => textNode.textContent ?? "").join("");
+
+    /** @type {{ text: string, formatting: { bold?: boolean, italic?: boolean, strike?: boolean } }[]} */
+    const runs = [];
+    getChildElements(stringItem, "*").forEach(child => {
+        if (child.nodeName !== "t" && child.nodeName !== "r") return;
+        const text = child.nodeName === "t" ? child.textContent ?? "" : getText(child);
+
+        /** @type {{ bold?: boolean, italic?: boolean, strike?: boolean }} */
+        const formatting = {};
+        const runProperties = child.nodeName === "r" ? getChildElements(child, "rPr")[0] : undefined;
+        if (config.cellFormatting && runProperties) {
+            // Toggle properties are turned off again by val="0" or "false".
+            const isOn = (/** @type {string} */ tagName) => getChildElements(runProperties, tagName).some(property => !/^(?:0|false)$/i.test(property.getAttribute("val") || ""));
+            if (isOn("b")) formatting.bold = true;
+            if (isOn("i")) formatting.italic = true;
+            if (isOn("strike")) formatting.strike = true;
+        }
+        runs.push({ text, formatting });
+    });
+    return renderExcelRuns(runs);
+}
+
+/** Render the runs of a spreadsheet string, joining neighbouring runs of the same formatting to not split their emphasis
+ * @param {{ text: string, formatting: { bold?: boolean, italic?: boolean, strike?: boolean } }[]} runs Runs with their formatting
+ * @returns {string} Markdown text
+ */
+function renderExcelRuns(runs) {
+    /** @type {{ text: string, formatting: { bold?: boolean, italic?: boolean, strike?: boolean } }[]} */
+    const joinedRuns = [];
+    runs.forEach(run => {
+        const previousRun = joinedRuns[joinedRuns.length - 1];
+        if (previousRun && JSON.stringify(previousRun.formatting) === JSON.stringify(run.formatting))
+            previousRun.text += run.text;
+        else
+            joinedRuns.push({ ...run });
+    });
+    return joinedRuns.map(run => applyMarkdownFormatting(run.text, run.formatting)).join("");
+}
+
+
+/** Get the letters of a spreadsheet column, like A for 1, Z for 26 and AA for 27
+ * @param {number} col Column number, starting at 1
+ * @returns {string} Column letters
+ */
+function getExcelColumnName(col) {
+    let name = "";
+    for (let rest = col; rest > 0; rest = Math.floor((rest - 1) / 26))
+        name = String.fromCharCode(65 + (rest - 1) % 26) + name;
+    return name;
+}
+
+/** Get the markdown text of a row of a spreadsheet table
+ * @param {string[]} cellValues Values of the cells of the row
+ * @returns {string} Markdown table row
+ */
+function getSheetTableRow(cellValues) {
+    let tableRow = '|';
+    cellValues.forEach(cellValue => {
+        // Escape markdown special characters in cell content
+        const escapedValue = cellValue.toString().replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+        tableRow += ` ${escapedValue} |`;
+    });
+    return tableRow;
+}
+
+/** Number of empty rows between two rows with values of a sheet table that are kept, more of them are collapsed into a single row with a note */
+const SHEET_EMPTY_ROWS_LIMIT = 100;
+
+/** Get the markdown rows for the empty rows between two rows with values of a spreadsheet table.
+ * Long runs of empty rows, like those before a value in the last row of a sheet, become a single row noting how many were left out.
+ * @param {number} count       Number of empty rows
+ * @param {number} columnCount Number of columns of the table
+ * @returns {string[]} Markdown table rows
+ */
+function getEmptySheetTableRows(count, columnCount) {
+    if (count > SHEET_EMPTY_ROWS_LIMIT)
+        return [getSheetTableRow([`*已省略 ${count} 个空行*`, ...Array(columnCount - 1).fill('')])];
+    return Array.from({ length: count }, () => getSheetTableRow(Array(columnCount).fill('')));
+}
+
+/** Render the cells of a spreadsheet sheet as the lines of a markdown table, headed by the column letters or by the first row with data.
+ * The table is cropped to the used range, the rows and columns between the first and last cells with a value. Runs of more than
+ * SHEET_EMPTY_ROWS_LIMIT empty rows are collapsed into a single row.
+ * @param {Map<string, string>} cellData Values of the cells keyed by their row and column number like 1-1, starting at 1
+ * @param {OfficeParserConfig}  config   Config Object for officeParser
+ * @returns {string[]} Lines of the markdown table, none for sheets without values
+ */
+function renderSheetMarkdown(cellData, config) {
+    let minRow = Infinity, minCol = Infinity, maxCol = 0;
+    /** Numbers of the rows with values */
+    const valueRows = new Set();
+    cellData.forEach((cellValue, position) => {
+        if (cellValue === '') return;
+        const [row, col] = position.split('-').map(Number);
+        valueRows.add(row);
+        minRow = Math.min(minRow, row);
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+    });
+    if (valueRows.size == 0 || maxCol == 0)
+        return [];
+
+    /** Function to get the values of the cells of a row */
+    const getRowValues = (/** @type {number} */ row) => Array.from({ length: maxCol - minCol + 1 }, (_, index) => cellData.get(`${row}-${minCol + index}`) || '');
+
+    // Create table header, either from the column letters or from the first row with data
+    const lines = [
+        getSheetTableRow(config.firstRowAsHeader ? getRowValues(minRow) : Array.from({ length: maxCol - minCol + 1 }, (_, index) => getExcelColumnName(minCol + index))),
+        '|' + ' --- |'.repeat(maxCol - minCol + 1)
+    ];
+    // Create table rows, with the empty rows between the rows with data
+    let lastRow = config.firstRowAsHeader ? minRow : minRow - 1;
+    Array.from(valueRows).sort((a, b) => a - b).filter(row => row > lastRow).forEach(row => {
+        lines.push(...getEmptySheetTableRows(row - lastRow - 1, maxCol - minCol + 1));
+        lines.push(getSheetTableRow(getRowValues(row)));
+        lastRow = row;
+    });
+    return lines;
+}
+
+/** Get the number of a spreadsheet column from its letters, like 1 for A and 27 for AA
+ * @param {string} letters Column letters
+ * @returns {number} Column number, starting at 1
+ */
+function getExcelColumnNumber(letters) {
+    return Array.from(letters.toUpperCase()).reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/** Set the references of the rows and cells of a worksheet that leave them out, as such rows and cells follow the previous one
+ * @param {Document} sheetDoc The parsed worksheet xml
+ * @returns {void}
+ */
+function setExcelCellReferences(sheetDoc) {
+    let rowNumber = 0;
+    Array.from(sheetDoc.getElementsByTagName("row")).forEach(rowNode => {
+        rowNumber = parseInt(rowNode.getAttribute("r") || "", 10) || rowNumber + 1;
+        let col = 0;
+        getChildElements(rowNode, "c").forEach(cNode => {
+            const cellRef = cNode.getAttribute("r");
+            col = cellRef ? getExcelColumnNumber(cellRef.replace(/[^A-Za-z]/g, "")) : col + 1;
+            if (!cellRef)
+                cNode.setAttribute("r", `${getExcelColumnName(col)}${rowNumber}`);
+        });
+    });
+}
+
+/** Move the relative references of a formula, as done for the cells of a shared formula. References with $ stay in place,
+ * text in quotes is left alone.
+ * @param {string} formula   Formula without the leading =
+ * @param {number} rowOffset Number of rows to move down
+ * @param {number} colOffset Number of columns to move right
+ * @returns {string} Formula with moved references
+ */
+function shiftExcelFormula(formula, rowOffset, colOffset) {
+    const shiftColumn = (/** @type {string} */ absolute, /** @type {string} */ letters) =>
+        absolute + (absolute ? letters : getExcelColumnName(getExcelColumnNumber(letters) + colOffset));
+    const shiftRow = (/** @type {string} */ absolute, /** @type {string} */ digits) =>
+        absolute + (absolute ? digits : `${parseInt(digits, 10) + rowOffset}`);
+
+    // Strings and quoted sheet names are matched first so that their text is kept as it is.
+    return formula.replace(
+        /("(?:[^"]|"")*"|'(?:[^']|'')*')|(?<![\w.])(\$?)([A-Za-z]{1,3})(\$?)(\d+)(?![\w(])|(?<![\w.])(\$?)([A-Za-z]{1,3}):(\$?)([A-Za-z]{1,3})(?![\w(])|(?<![\w.])(\$?)(\d+):(\$?)(\d+)(?![\w(])/g,
+        (match, quoted, colAbsolute, col, rowAbsolute, row, startColAbsolute, startCol, endColAbsolute, endCol, startRowAbsolute, startRow, endRowAbsolute, endRow) => {
+            if (quoted) return quoted;
+            if (col) return shiftColumn(colAbsolute, col) + shiftRow(rowAbsolute, row);
+            if (startCol) return `${shiftColumn(startColAbsolute, startCol)}:${shiftColumn(endColAbsolute, endCol)}`;
+            return `${shiftRow(startRowAbsolute, startRow)}:${shiftRow(endRowAbsolute, endRow)}`;
+        });
+}
+
+/** @typedef {Object} ExcelWorkbook
+ * @property {{ name: string, path: string, isHidden: boolean }[]}           sheets       Sheets in tab order with their names, package paths and visibility
+ * @property {{ name: string, sheetName?: string, reference: string }[]} definedNames Defined names with the sheet they belong to and what they refer to
+ * @property {boolean}                                                    date1904     Flag whether the workbook counts dates from 1904 instead of 1900
+ */
+
+/** Parse xl/workbook.xml into the sheets of the workbook, its defined names and its date system
+ * @param {string | undefined}           workbookXml           The workbook xml content
+ * @param {Object<string, Relationship>} workbookRelationships Relationships of the workbook, pointing to its sheets
+ * @param {string[]}                     partPaths             Paths of the parts in the package. Sheets without a part are left out.
+ * @returns {ExcelWorkbook}
+ */
+function parseExcelWorkbook(workbookXml, workbookRelationships, partPaths) {
+    // The workbook lists the sheets in tab order with their names and visibility.
+    // Without it, the worksheets are taken in the order of the files with numbered names.
+    const workbookDoc = workbookXml != undefined ? parseString(workbookXml) : undefined;
+    const sheetNodes = Array.from(workbookDoc?.getElementsByTagName("sheet") ?? []);
+    const sheets = workbookDoc
+        ? sheetNodes
+            .map(sheet => ({
+                name: sheet.getAttribute("name") ?? "",
+                path: workbookRelationships[sheet.getAttribute("r:id") ?? ""]?.path ?? "",
+                isHidden: sheet.getAttribute("state") == "hidden" || sheet.getAttribute("state") == "veryHidden"
+            }))
+            .filter(sheet => partPaths.includes(sheet.path))
+        : partPaths.filter(partPath => partPath.match(/xl\/worksheets\/sheet\d+.xml/))
+            .map((partPath, index) => ({ name: `工作表 ${index + 1}`, path: partPath, isHidden: false }));
+
+    return {
+        sheets: sheets,
+        // Defined names of the workbook address cells, ranges and formulas by name, either in the workbook or in one sheet.
+        // Hidden names and the built-in _xlnm names like print areas are left out.
+        definedNames: Array.from(workbookDoc?.getElementsByTagName("definedName") ?? [])
+            .filter(definedName => !["1", "true"].includes(definedName.getAttribute("hidden") ?? "") && !(definedName.getAttribute("name") ?? "").startsWith("_xlnm."))
+            .map(definedName => ({
+                name: definedName.getAttribute("name") ?? "",
+                sheetName: definedName.hasAttribute("localSheetId")
+                    ? sheetNodes[parseInt(definedName.getAttribute("localSheetId") ?? "", 10)]?.getAttribute("name") ?? undefined
+                    : undefined,
+                reference: definedName.textContent ?? ""
+            })),
+        // Workbooks from old Mac versions count their dates from 1904.
+        date1904: ["1", "true"].includes(workbookDoc?.getElementsByTagName("workbookPr")[0]?.getAttribute("date1904") ?? "")
+    };
+}
+
+/** Get the value of a cell as displayed, or as stored with the rawValues config. Numbers use the number format of the cell style,
+ * booleans show as TRUE and FALSE, errors and formula strings as they are.
+ * @param {string}             text          Text of the v element of the cell
+ * @param {string}             type          Type of the cell from its t attribute, n when there is none
+ * @param {string}             formatCode    Number format code of the cell style
+ * @param {string[]}           sharedStrings Shared strings of the workbook
+ * @param {boolean}            date1904      Flag whether the workbook counts dates from 1904 instead of 1900
+ * @param {OfficeParserConfig} config        Config Object for officeParser
+ * @returns {string | undefined} Cell value, undefined for a shared string that does not exist
+ */
+function formatExcelCellValue(text, type, formatCode, sharedStrings, date1904, config) {
+    switch (type) {
+        case "s":
+            return sharedStrings[parseInt(text, 10)];
+        case "b":
+            return text.trim() == "1" ? "TRUE" : "FALSE";
+        case "n": {
+            const value = Number(text);
+            if (text.trim() == "" || isNaN(value))
+                return text;
+            if (config.rawValues)
+                return isExcelDateFormat(formatCode) ? formatExcelIsoDate(value, date1904) : text.trim();
+            return formatExcelNumber(value, formatCode, date1904);
+        }
+        // Errors like #DIV/0!, strings of formulas and ISO 8601 dates are stored as shown.
+        default:
+            return text;
+    }
 }
 
 /** Main function for parsing text from Excel files
@@ -427,27 +3229,124 @@ function parsePowerPoint(file, callback, config) {
  */
 function parseExcel(file, callback, config) {
     // Files regex that hold our content of interest
-    const sheetsRegex     = /xl\/worksheets\/sheet\d+.xml/g;
+    const sheetsRegex     = /xl\/(worksheets|chartsheets|dialogsheets|macrosheets)\/[^/]+\.xml$/g;
     const drawingsRegex   = /xl\/drawings\/drawing\d+.xml/g;
     const chartsRegex     = /xl\/charts\/chart\d+.xml/g;
+    const tablesRegex     = /xl\/tables\/[^/]+\.xml$/g;
+    const commentsRegex   = /xl\/(comments[^/]*|threadedComments\/[^/]+|persons\/[^/]+)\.xml$/g;
+    const relsFileRegex   = /xl\/(_rels\/workbook|(?:chartsheets|worksheets)\/_rels\/[^/]+|drawings\/_rels\/drawing\d+)\.xml\.rels/g;
     const stringsFilePath = 'xl/sharedStrings.xml';
+    const workbookFilePath = 'xl/workbook.xml';
+    const stylesFilePath  = 'xl/styles.xml';
 
-    extractFiles(file, x => [sheetsRegex, drawingsRegex, chartsRegex].some(fileRegex => x.match(fileRegex)) || x == stringsFilePath)
-        .then(files => {
-            // Verify if atleast the slides xml files exist in the extracted files list.
-            if (files.length == 0 || !files.map(file => file.path).some(filename => filename.match(sheetsRegex)))
+    /** Package, opened once to list its parts and then read the ones of interest */
+    /** @type {yauzl.ZipFile | undefined} */
+    let zipfile;
+    /** @type {Map<string, yauzl.Entry>} */
+    let entries = new Map();
+
+    // The workbook and the relationships come first, to find the parts of the selected sheets. The other sheets are never read.
+    openZipEntries(file)
+        .then(zip => {
+            ({ zipfile, entries } = zip);
+            return readZipEntries(zipfile, entries, x => x == workbookFilePath || !!x.match(relsFileRegex));
+        })
+        .then(workbookFiles => {
+            const partPaths = Array.from(entries.keys());
+            // Verify if atleast the sheet xml files exist in the package.
+            if (!partPaths.some(partPath => partPath.match(sheetsRegex)))
                 throw ERRORMSG.fileCorrupted(file);
 
+            const getPartRelationships = (partPath) => parseRelationships(workbookFiles.find(file => file.path == getRelationshipsPath(partPath))?.content, partPath);
+            const workbookRelationships = getPartRelationships(workbookFilePath);
+            const workbook = parseExcelWorkbook(workbookFiles.find(file => file.path == workbookFilePath)?.content, workbookRelationships, partPaths);
+            const sheets = selectSheets(workbook.sheets, config.sheets);
+
+            // The tables, comments and drawings of a sheet are related to it and its charts to the drawings. Persons are related to the workbook.
+            const getRelatedPaths = (/** @type {string} */ partPath) => Object.values(getPartRelationships(partPath)).map(relationship => relationship.path ?? "");
+            const sheetRelatedPaths = sheets.flatMap(sheet => [sheet.path, ...getRelatedPaths(sheet.path)]);
+            const selectedPaths = new Set([...sheetRelatedPaths, ...sheetRelatedPaths.flatMap(getRelatedPaths), ...getRelatedPaths(workbookFilePath)]);
+            const isSelectedPart = (/** @type {string} */ partPath) => !config.sheets?.length
+                || (partPath.match(sheetsRegex) ? sheets.some(sheet => sheet.path == partPath) : selectedPaths.has(partPath));
+
+            return readZipEntries(/** @type {yauzl.ZipFile} */ (zipfile), entries, x => ([sheetsRegex, drawingsRegex, chartsRegex, tablesRegex, commentsRegex].some(fileRegex => x.match(fileRegex)) && isSelectedPart(x))
+                    || [stringsFilePath, stylesFilePath].includes(x))
+                .then(files => ({ files: [...workbookFiles, ...files], workbook: { ...workbook, sheets: sheets }, workbookRelationships: workbookRelationships }));
+        })
+        .then(({ files, workbook, workbookRelationships }) => {
+            /** Relationships of a part, used to find the charts of a chartsheet and the tables of a worksheet. */
+            const getPartRelationships = (partPath) => parseRelationships(files.find(file => file.path == getRelationshipsPath(partPath))?.content, partPath);
+            const getContent = (partPath) => files.find(file => file.path == partPath)?.content;
+
+            /** Charts of sheets, which get rendered with their sheet instead of with the other charts */
+            const sheetChartPaths = new Set();
+            /** Paths of the charts in a drawing, found through the relationships of the drawing */
+            const getDrawingChartPaths = (/** @type {string} */ drawingPath) => Array.from(parseString(getContent(drawingPath) ?? "<xdr:wsDr/>").getElementsByTagName("c:chart"))
+                .map(chart => getPartRelationships(drawingPath)[chart.getAttribute("r:id")]?.path ?? "");
+
             return {
-                sheetFiles:        files.filter(file => file.path.match(sheetsRegex)).map((file, index) => ({content: file.content, index: index + 1})),
+                sheetFiles:        workbook.sheets
+                    .filter(sheet => !(sheet.isHidden && config.ignoreHiddenSheets))
+                    .map(sheet => {
+                        const kind = sheet.path.split("/")[1];
+                        if (kind != "chartsheets") {
+                            // The tables, notes, threaded comments and drawings of a worksheet are related to it, like the targets of its hyperlinks.
+                            const relationships = getPartRelationships(sheet.path);
+                            const getRelatedPaths = (/** @type {string} */ typeSuffix) => Object.values(relationships)
+                                .filter(relationship => relationship.type.endsWith(typeSuffix))
+                                .map(relationship => relationship.path ?? "");
+                            const getRelatedContents = (/** @type {string} */ typeSuffix) => getRelatedPaths(typeSuffix)
+                                .map(getContent)
+                                .filter(content => content != undefined);
+                            const chartPaths = getRelatedPaths("/drawing").flatMap(getDrawingChartPaths);
+                            chartPaths.forEach(chartPath => sheetChartPaths.add(chartPath));
+                            return {
+                                ...sheet,
+                                kind: kind,
+                                content: getContent(sheet.path) ?? "",
+                                relationships: relationships,
+                                chartContents: chartPaths.map(getContent).filter(content => content != undefined),
+                                tableContents: getRelatedContents("/table"),
+                                commentContents: config.comments != "ignore" ? getRelatedContents("/comments") : [],
+                                threadedCommentContents: config.comments != "ignore" ? getRelatedContents("/threadedComment") : []
+                            };
+                        }
+
+                        // A chartsheet holds a drawing with its chart.
+                        const drawingId = parseString(getContent(sheet.path) ?? "").getElementsByTagName("drawing")[0]?.getAttribute("r:id");
+                        const drawingPath = getPartRelationships(sheet.path)[drawingId ?? ""]?.path ?? "";
+                        const chartPaths = getDrawingChartPaths(drawingPath);
+                        chartPaths.forEach(chartPath => sheetChartPaths.add(chartPath));
+                        return {
+                            ...sheet,
+                            kind: kind,
+                            content: "",
+                            relationships: {},
+                            chartContents: chartPaths.map(getContent).filter(content => content != undefined),
+                            tableContents: [],
+                            commentContents: [],
+                            threadedCommentContents: []
+                        };
+                    }),
                 drawingFiles:      files.filter(file => file.path.match(drawingsRegex)).map(file => file.content),
-                chartFiles:        files.filter(file => file.path.match(chartsRegex)).map(file => file.content),
+                chartFiles:        files.filter(file => file.path.match(chartsRegex) && !sheetChartPaths.has(file.path)).map(file => file.content),
                 sharedStringsFile: files.filter(file => file.path == stringsFilePath).map(file => file.content)[0],
+                cellFormats:       parseExcelStyles(getContent(stylesFilePath)),
+                // Authors of threaded comments are persons of the workbook, referred to by their id.
+                persons:           Object.fromEntries(Object.values(workbookRelationships)
+                    .filter(relationship => relationship.type.endsWith("/person"))
+                    .flatMap(relationship => Array.from(parseString(getContent(relationship.path ?? "") ?? "<personList/>").getElementsByTagName("person")))
+                    .map(person => [person.getAttribute("id") ?? "", person.getAttribute("displayName") ?? ""])),
+                // Names of a single sheet are only listed with their sheet.
+                definedNames:      workbook.definedNames.filter(definedName => !definedName.sheetName || workbook.sheets.some(sheet => sheet.name == definedName.sheetName)),
+                date1904:          workbook.date1904,
             };
         })
         .then(xmlContentFilesObject => {
             /** Store all the markdown content to respond */
             let markdownContent = [];
+            /** Range of the cells to parse of each sheet, undefined for all cells */
+            const range = parseCellRange(config.range);
 
             /** Function to check if the given c node is a valid inline string node. */
             function isValidInlineStringCNode(cNode) {
@@ -456,13 +3355,10 @@ function parseExcel(file, callback, config) {
                     return false;
                 if (cNode.getAttribute("t") != 'inlineStr')
                     return false;
-                const childNodesNamedIs = cNode.getElementsByTagName('is');
+                const childNodesNamedIs = getChildElements(cNode, 'is');
                 if (childNodesNamedIs.length != 1)
                     return false;
-                const childNodesNamedT = childNodesNamedIs[0].getElementsByTagName('t');
-                if (childNodesNamedT.length != 1)
-                    return false;
-                return childNodesNamedT[0].childNodes[0] && childNodesNamedT[0].childNodes[0].nodeValue != '';
+                return getExcelStringText(childNodesNamedIs[0], config) != '';
             }
 
             /** Function to check if the given c node has a valid v node */
@@ -493,98 +3389,310 @@ function parseExcel(file, callback, config) {
                 return { row: rowNum, col: colNum };
             }
 
-            /** Find text nodes with t tags in sharedStrings xml file. If the sharedStringsFile is not present, we return an empty array. */
-            const sharedStringsXmlTNodesList = xmlContentFilesObject.sharedStringsFile != undefined ? parseString(xmlContentFilesObject.sharedStringsFile).getElementsByTagName("t")
-                                                                                                    : [];
+            /** Function to get the formulas of the c nodes of a sheet keyed by cell reference, starting with =.
+             * Shared formulas are written once in their first cell and get their relative references moved for the other cells.
+             * Array formulas hold for every cell of their range and are shown in braces like in Excel. */
+            function getSheetFormulas(cNodes) {
+                const formulas = new Map();
+                const sharedFormulas = {};
+                const arrayFormulas = [];
+                Array.from(cNodes).forEach(cNode => {
+                    const fNode = getChildElements(cNode, "f")[0];
+                    const formula = fNode?.textContent ?? '';
+                    if (fNode && fNode.getAttribute("t") == "shared" && formula)
+                        sharedFormulas[fNode.getAttribute("si") ?? ""] = { formula: formula, ...parseReference(getCellReference(cNode)) };
+                    else if (fNode && fNode.getAttribute("t") == "array" && formula) {
+                        const [start, end = start] = (fNode.getAttribute("ref") || getCellReference(cNode)).split(":").map(parseReference);
+                        arrayFormulas.push({ formula: `{=${formula}}`, start: start, end: end });
+                    }
+                });
+
+                Array.from(cNodes).forEach(cNode => {
+                    const cellRef = getCellReference(cNode);
+                    const { row, col } = parseReference(cellRef);
+                    const fNode = getChildElements(cNode, "f")[0];
+                    const sharedFormula = fNode?.getAttribute("t") == "shared" ? sharedFormulas[fNode.getAttribute("si") ?? ""] : undefined;
+                    const arrayFormula = arrayFormulas.find(({ start, end }) => row >= start.row && row <= end.row && col >= start.col && col <= end.col);
+                    if (arrayFormula)
+                        formulas.set(cellRef, arrayFormula.formula);
+                    else if (sharedFormula)
+                        formulas.set(cellRef, `=${shiftExcelFormula(sharedFormula.formula, row - sharedFormula.row, col - sharedFormula.col)}`);
+                    else if (fNode?.textContent)
+                        formulas.set(cellRef, `=${fNode.textContent}`);
+                });
+                return formulas;
+            }
+
+            /** Function to get the comment threads of a sheet keyed by cell reference, sorted by their position in the sheet.
+             * Threaded comments carry their replies, notes are comments without replies. */
+            function getSheetComments(sheetData) {
+                const comments = new Map();
+                const addThread = (cellRef, thread) => comments.set(cellRef, [...(comments.get(cellRef) ?? []), thread]);
+
+                const threadsById = {};
+                sheetData.threadedCommentContents.forEach(threadedCommentContent => {
+                    Array.from(parseString(threadedCommentContent).getElementsByTagName("threadedComment")).forEach(threadedComment => {
+                        const comment = {
+                            author: xmlContentFilesObject.persons[threadedComment.getAttribute("personId") ?? ""] ?? "",
+                            date: threadedComment.getAttribute("dT") ?? "",
+                            resolved: ["1", "true"].includes(threadedComment.getAttribute("done") ?? ""),
+                            text: getChildElements(threadedComment, "text")[0]?.textContent ?? "",
+                            replies: []
+                        };
+                        const parent = threadsById[threadedComment.getAttribute("parentId") ?? ""];
+                        if (parent) {
+                            parent.replies.push(comment);
+                        } else {
+                            threadsById[threadedComment.getAttribute("id") ?? ""] = comment;
+                            addThread(threadedComment.getAttribute("ref") ?? "", comment);
+                        }
+                    });
+                });
+
+                // Cells with a threaded comment also carry a note that repeats the thread for older versions of Excel.
+                const threadedCellRefs = new Set(comments.keys());
+                sheetData.commentContents.forEach(commentContent => {
+                    const commentsDoc = parseString(commentContent);
+                    const authors = Array.from(commentsDoc.getElementsByTagName("author")).map(author => author.textContent ?? "");
+                    Array.from(commentsDoc.getElementsByTagName("comment")).forEach(commentNode => {
+                        const cellRef = commentNode.getAttribute("ref") ?? "";
+                        if (threadedCellRefs.has(cellRef)) return;
+                        const author = authors[parseInt(commentNode.getAttribute("authorId") || "0", 10)] ?? "";
+                        const textNode = getChildElements(commentNode, "text")[0];
+                        let text = textNode ? getExcelStringText(textNode, {}) : "";
+                        // Notes start with the name of their author.
+                        if (author && text.startsWith(`${author}:`))
+                            text = text.slice(author.length + 1);
+                        addThread(cellRef, { author: author, date: "", resolved: false, text: text.trim(), replies: [] });
+                    });
+                });
+
+                return new Map(Array.from(comments.entries()).sort(([cellRefA], [cellRefB]) => {
+                    const positionA = parseReference(cellRefA);
+                    const positionB = parseReference(cellRefB);
+                    return positionA.row - positionB.row || positionA.col - positionB.col;
+                }));
+            }
+
+            /** Function to get the markdown text of a single comment with its author, date and resolved state */
+            function getCellCommentText(comment) {
+                const details = [comment.date, comment.resolved ? "已解决" : ""].filter(detail => detail).join(", ");
+                const heading = `${comment.author ? `**${comment.author}**` : ""}${details ? ` (${details})` : ""}`.trim();
+                const text = comment.text.trim().replace(/\s*\n\s*/g, " ");
+                return heading ? `${heading}: ${text}` : text;
+            }
+
+            /** Find string items with si tags in sharedStrings xml file, one per shared string. If the sharedStringsFile is not present, we return an empty array. */
+            const sharedStringsXmlSiNodesList = xmlContentFilesObject.sharedStringsFile != undefined ? parseString(xmlContentFilesObject.sharedStringsFile).getElementsByTagName("si")
+                                                                                                     : [];
             /** Create shared string array. This will be used as a map to get strings from within sheet files. */
-            const sharedStrings = Array.from(sharedStringsXmlTNodesList)
-                                    .map(tNode => tNode.childNodes[0]?.nodeValue ?? '');
+            const sharedStrings = Array.from(sharedStringsXmlSiNodesList)
+                                    .map(siNode => getExcelStringText(siNode, config));
+
+            /** Function to get the value of a c node with a v node as displayed, or as stored with the rawValues config. */
+            function getCellValue(cNode) {
+                /** Find value nodes represented by v tags */
+                const text = cNode.getElementsByTagName("v")[0].childNodes[0].nodeValue;
+                const formatCode = xmlContentFilesObject.cellFormats[parseInt(cNode.getAttribute("s") || "0", 10)] ?? "General";
+                const value = formatExcelCellValue(text, cNode.getAttribute("t") || "n", formatCode, sharedStrings, xmlContentFilesObject.date1904, config);
+                // Validate the index of shared strings
+                if (value == undefined)
+                    throw ERRORMSG.fileCorrupted(file);
+                return value;
+            }
 
             // Parse Sheet files and convert to markdown tables
             xmlContentFilesObject.sheetFiles.forEach(sheetData => {
                 const sheetXmlContent = sheetData.content;
-                const sheetIndex = sheetData.index;
                 
-                markdownContent.push(`## 工作表 ${sheetIndex}\n`);
+                markdownContent.push(sheetData.isHidden ? `## ${sheetData.name} (隐藏)\n` : `## ${sheetData.name}\n`);
+
+                // Chartsheets only show a chart. Dialog sheets have no cells and end up as empty sheets.
+                if (sheetData.kind == "chartsheets") {
+                    const chartsMarkdown = sheetData.chartContents.map(chartContent => renderChartMarkdown(parseChart(chartContent), config)).filter(chartMarkdown => chartMarkdown);
+                    markdownContent.push(chartsMarkdown.length > 0 ? chartsMarkdown.join(config.newlineDelimiter ?? "\n") : '*此工作表为空*', '');
+                    return;
+                }
                 
+                const sheetDoc = parseString(sheetXmlContent);
+                setExcelCellReferences(sheetDoc);
                 /** Find text nodes with c tags in sheet xml file */
-                const sheetsXmlCNodesList = parseString(sheetXmlContent).getElementsByTagName("c");
+                const sheetsXmlCNodesList = sheetDoc.getElementsByTagName("c");
                 
                 // Create a map to store cell data by position
                 const cellData = new Map();
-                let maxRow = 0;
-                let maxCol = 0;
+
+                /** Formulas of the sheet by cell position, with shared formulas expanded to each of their cells */
+                const formulas = config.formulas != undefined && config.formulas != "ignore" ? getSheetFormulas(sheetsXmlCNodesList) : new Map();
                 
                 // Process all cells and organize by position
                 Array.from(sheetsXmlCNodesList)
-                    .filter(cNode => isValidInlineStringCNode(cNode) || hasValidVNodeInCNode(cNode))
+                    .filter(cNode => isValidInlineStringCNode(cNode) || hasValidVNodeInCNode(cNode) || formulas.has(getCellReference(cNode)))
                     .forEach(cNode => {
                         const cellRef = getCellReference(cNode);
                         const { row, col } = parseReference(cellRef);
                         
                         if (row > 0 && col > 0) {
-                            maxRow = Math.max(maxRow, row);
-                            maxCol = Math.max(maxCol, col);
-                            
                             let cellValue = '';
                             
                             // Processing if this is a valid inline string c node.
                             if (isValidInlineStringCNode(cNode)) {
-                                cellValue = cNode.getElementsByTagName('is')[0].getElementsByTagName('t')[0].childNodes[0].nodeValue;
+                                cellValue = getExcelStringText(getChildElements(cNode, 'is')[0], config);
                             }
                             // Processing if this c node has a valid v node.
                             else if (hasValidVNodeInCNode(cNode)) {
-                                /** Flag whether this node's value represents an index in the shared string array */
-                                const isIndexInSharedStrings = cNode.getAttribute("t") == "s";
-                                /** Find value nodes represented by v tags */
-                                const value = parseInt(cNode.getElementsByTagName("v")[0].childNodes[0].nodeValue, 10);
-                                // Validate text
-                                if (isIndexInSharedStrings && value >= sharedStrings.length)
-                                    throw ERRORMSG.fileCorrupted(file);
-
-                                cellValue = isIndexInSharedStrings
-                                        ? sharedStrings[value]
-                                        : value.toString();
+                                cellValue = getCellValue(cNode);
+                            }
+
+                            // Formulas are shown as code, followed by their cached value. Cells that were never calculated have no cached value.
+                            const formula = formulas.get(cellRef);
+                            if (formula != undefined) {
+                                if (config.formulas == "only")
+                                    cellValue = `\`${formula}\``;
+                                else
+                                    cellValue = `\`${formula}\` → ${cellValue !== '' ? cellValue : '*无缓存值*'}`;
                             }
                             
                             cellData.set(`${row}-${col}`, cellValue);
                         }
                     });
                 
-                // Generate markdown table if we have data
-                if (maxRow > 0 && maxCol > 0) {
-                    // Create table header
-                    let tableHeader = '|';
-                    let tableSeparator = '|';
-                    for (let col = 1; col <= maxCol; col++) {
-                        const colLetter = String.fromCharCode(64 + col);
-                        tableHeader += ` ${colLetter} |`;
-                        tableSeparator += ' --- |';
+                // Hyperlinked cells link their value to the url of the hyperlink, with the location in the workbook or page as anchor.
+                Array.from(sheetDoc.getElementsByTagName("hyperlink")).forEach(hyperlink => {
+                    const [start, end = start] = (hyperlink.getAttribute("ref") || "").split(":").map(parseReference);
+                    if (!start || start.row == 0 || end.row == 0) return;
+                    const url = sheetData.relationships[hyperlink.getAttribute("r:id") ?? ""]?.target;
+                    const location = hyperlink.getAttribute("location") || undefined;
+                    for (let row = start.row; row <= end.row; row++) {
+                        for (let col = start.col; col <= end.col; col++) {
+                            const cellValue = cellData.get(`${row}-${col}`);
+                            if (cellValue)
+                                cellData.set(`${row}-${col}`, applyMarkdownLink(cellValue, url, location));
+                        }
                     }
-                    
-                    markdownContent.push(tableHeader);
-                    markdownContent.push(tableSeparator);
-                    
-                    // Create table rows
-                    for (let row = 1; row <= maxRow; row++) {
-                        let tableRow = '|';
-                        for (let col = 1; col <= maxCol; col++) {
-                            const cellValue = cellData.get(`${row}-${col}`) || '';
-                            // Escape markdown special characters in cell content
-                            const escapedValue = cellValue.toString().replace(/\|/g, '\\|').replace(/\n/g, '<br>');
-                            tableRow += ` ${escapedValue} |`;
+                });
+
+                // Positions covered by a merged cell stay blank or repeat the value of its top left cell.
+                Array.from(sheetDoc.getElementsByTagName("mergeCell")).forEach(mergeCell => {
+                    const [start, end] = (mergeCell.getAttribute("ref") || "").split(":").map(parseReference);
+                    if (!start || !end || start.row == 0 || end.row == 0) return;
+                    const originValue = cellData.get(`${start.row}-${start.col}`);
+                    for (let row = start.row; row <= end.row; row++) {
+                        for (let col = start.col; col <= end.col; col++) {
+                            if (row == start.row && col == start.col) continue;
+                            if (config.mergedCells == "repeat" && originValue)
+                                cellData.set(`${row}-${col}`, originValue);
+                            else
+                                cellData.delete(`${row}-${col}`);
                         }
-                        markdownContent.push(tableRow);
                     }
-                } else {
+                });
+
+                /** Function to get the values of the cells of a row between two columns */
+                const getRowValues = (/** @type {number} */ row, /** @type {number} */ minCol, /** @type {number} */ maxCol) =>
+                    Array.from({ length: maxCol - minCol + 1 }, (_, index) => cellData.get(`${row}-${minCol + index}`) || '');
+
+                // Cells outside of the range config are left out, after merged cells got their value.
+                cellData.forEach((cellValue, position) => {
+                    const [row, col] = position.split('-').map(Number);
+                    if (!isInCellRange(range, row, col))
+                        cellData.delete(position);
+                });
+
+                /** Comment threads of the sheet by cell reference, put into their cell or listed after the tables of the sheet */
+                const sheetComments = config.comments != "ignore" ? getSheetComments(sheetData) : new Map();
+                sheetComments.forEach((threads, cellRef) => {
+                    const { row, col } = parseReference(cellRef);
+                    if (!isInCellRange(range, row, col))
+                        sheetComments.delete(cellRef);
+                });
+                if (config.comments == "inline") {
+                    sheetComments.forEach((threads, cellRef) => {
+                        const { row, col } = parseReference(cellRef);
+                        const commentText = threads.map(thread => [thread, ...thread.replies].map(getCellCommentText).join(" / ")).join(" / ");
+                        cellData.set(`${row}-${col}`, `${cellData.get(`${row}-${col}`) || ''} [批注: ${commentText}]`.trim());
+                    });
+                }
+
+                // Excel tables are rendered on their own, titled with their name and with their column names as header.
+                // Their header row holds the column names and a totals row stays the last row of the table.
+                // With the range config, tables are cut to the part within the range.
+                const tables = sheetData.tableContents.map(tableContent => {
+                    const tableNode = parseString(tableContent).documentElement;
+                    const [tableStart, tableEnd = tableStart] = (tableNode.getAttribute("ref") || "").split(":").map(parseReference);
+                    const start = range ? { row: Math.max(tableStart.row, range.start.row), col: Math.max(tableStart.col, range.start.col) } : tableStart;
+                    const end = range ? { row: Math.min(tableEnd.row, range.end.row), col: Math.min(tableEnd.col, range.end.col) } : tableEnd;
+                    return {
+                        name: tableNode.getAttribute("displayName") || tableNode.getAttribute("name") || "",
+                        start: start,
+                        end: end,
+                        firstDataRow: Math.max(tableStart.row + parseInt(tableNode.getAttribute("headerRowCount") || "1", 10), start.row),
+                        columnNames: Array.from(tableNode.getElementsByTagName("tableColumn")).map(tableColumn => tableColumn.getAttribute("name") ?? "").slice(start.col - tableStart.col)
+                    };
+                }).filter(table => table.start.row > 0 && table.end.row >= table.start.row && table.end.col >= table.start.col);
+
+                tables.forEach(table => {
+                    markdownContent.push(`### 表格：${table.name}\n`);
+                    markdownContent.push(getSheetTableRow(Array.from({ length: table.end.col - table.start.col + 1 }, (_, index) => table.columnNames[index] ?? '')));
+                    markdownContent.push('|' + ' --- |'.repeat(table.end.col - table.start.col + 1));
+                    for (let row = table.firstDataRow; row <= table.end.row; row++) {
+                        markdownContent.push(getSheetTableRow(getRowValues(row, table.start.col, table.end.col)));
+                    }
+                    markdownContent.push('');
+                });
+                // The cells of tables are not repeated with the other cells of the sheet.
+                tables.forEach(table => {
+                    for (let row = table.start.row; row <= table.end.row; row++)
+                        for (let col = table.start.col; col <= table.end.col; col++)
+                            cellData.delete(`${row}-${col}`);
+                });
+
+                // The other cells are cropped to the used range. The dimension of a sheet also counts cells that only carry formatting, so it is not used.
+                const sheetLines = renderSheetMarkdown(cellData, config);
+                if (sheetLines.length > 0) {
+                    if (tables.length > 0)
+                        markdownContent.push('### 其他单元格\n');
+                    sheetLines.forEach(line => markdownContent.push(line));
+                } else if (tables.length > 0) {
+                    // Remove the empty line after the last table, one is added after the sheet.
+                    markdownContent.pop();
+                } else if (sheetData.chartContents.length == 0) {
+                    markdownContent.push('*此工作表为空*');
+                }
+
+                // Charts in the drawings of the sheet follow its cells.
+                const chartsMarkdown = sheetData.chartContents.map(chartContent => renderChartMarkdown(parseChart(chartContent), config)).filter(chartMarkdown => chartMarkdown);
+                chartsMarkdown.forEach((chartMarkdown, index) => {
+                    if (index > 0 || sheetLines.length > 0 || tables.length > 0)
+                        markdownContent.push('');
+                    markdownContent.push(chartMarkdown);
+                });
+                if (chartsMarkdown.length == 0 && sheetData.chartContents.length > 0 && sheetLines.length == 0 && tables.length == 0)
                     markdownContent.push('*此工作表为空*');
+
+                if (config.comments == "end" && sheetComments.size > 0) {
+                    markdownContent.push('', '### 批注\n');
+                    sheetComments.forEach((threads, cellRef) => threads.forEach(thread => {
+                        markdownContent.push(`- ${cellRef} ${getCellCommentText(thread)}`);
+                        thread.replies.forEach(reply => markdownContent.push(`    - ${getCellCommentText(reply)}`));
+                    }));
                 }
                 
                 markdownContent.push(''); // Add empty line after each sheet
             });
 
+            // List the defined names with the ranges they refer to, names of a single sheet with that sheet.
+            if (xmlContentFilesObject.definedNames.length > 0) {
+                markdownContent.push('## 定义的名称\n');
+                xmlContentFilesObject.definedNames.forEach(definedName => {
+                    markdownContent.push(definedName.sheetName ? `- ${definedName.name}（${definedName.sheetName}）：${definedName.reference}` : `- ${definedName.name}：${definedName.reference}`);
+                });
+                markdownContent.push('');
+            }
+
             // Parse Drawing files
             if (xmlContentFilesObject.drawingFiles.length > 0) {
+                const drawingsHeaderIndex = markdownContent.length;
                 markdownContent.push('## 绘图内容\n');
                 
                 xmlContentFilesObject.drawingFiles.forEach((drawingXmlContent, index) => {
@@ -611,28 +3719,19 @@ function parseExcel(file, callback, config) {
                         markdownContent.push(''); // Add empty line
                     }
                 });
+
+                // Drawings that only hold charts or pictures have no text.
+                if (markdownContent.length == drawingsHeaderIndex + 1)
+                    markdownContent.pop();
             }
 
-            // Parse Chart files
-            if (xmlContentFilesObject.chartFiles.length > 0) {
+            // Parse Chart files that do not belong to a sheet
+            const chartsMarkdown = xmlContentFilesObject.chartFiles.map(chartXmlContent => renderChartMarkdown(parseChart(chartXmlContent), config)).filter(chartMarkdown => chartMarkdown);
+            if (chartsMarkdown.length > 0) {
                 markdownContent.push('## 图表数据\n');
-                
-                xmlContentFilesObject.chartFiles.forEach((chartXmlContent, index) => {
-                    /** Find text nodes with c:v tags */
-                    const chartsXmlCVNodesList = parseString(chartXmlContent).getElementsByTagName("c:v");
-                    
-                    const chartValues = Array.from(chartsXmlCVNodesList)
-                        .filter(cVNode => cVNode.childNodes[0] && cVNode.childNodes[0].nodeValue)
-                        .map(cVNode => cVNode.childNodes[0].nodeValue)
-                        .filter(value => value.trim() !== '');
-                    
-                    if (chartValues.length > 0) {
-                        markdownContent.push(`### 图表 ${index + 1}\n`);
-                        chartValues.forEach(value => {
-                            markdownContent.push(`- ${value}`);
-                        });
-                        markdownContent.push(''); // Add empty line
-                    }
+                chartsMarkdown.forEach(chartMarkdown => {
+                    markdownContent.push(chartMarkdown);
+                    markdownContent.push(''); // Add empty line
                 });
             }
 
@@ -640,9 +3739,365 @@ function parseExcel(file, callback, config) {
             const finalMarkdown = markdownContent.join(config.newlineDelimiter ?? "\n");
             callback(finalMarkdown, undefined);
         })
-        .catch(e => callback(undefined, e));
+        .catch(e => callback(undefined, e))
+        .finally(() => zipfile?.close());
+}
+
+
+/** Decode the entities of xml text
+ * @param {string} text Xml text
+ * @returns {string} Decoded text
+ */
+const decodeXmlEntities = (text) => text.indexOf("&") < 0 ? text : text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (_, entity) => {
+    if (entity[0] === "#")
+        return String.fromCodePoint(entity[1] === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[entity];
+});
+
+/** Create an incremental xml tokenizer, a minimal SAX parser for parts too large to be held as a DOM.
+ * Text is written to it in chunks as it arrives and it calls its handlers for every complete tag and the text between tags.
+ * Tags are reported by their local name, self-closing tags as an opening tag right followed by its closing tag.
+ * Comments, processing instructions and declarations are skipped.
+ * @param {{ onOpenTag?: (name: string, attributes: Object<string, string>) => void, onCloseTag?: (name: string) => void, onText?: (text: string) => void }} handlers
+ * @returns {{ write: (chunk: string) => void }}
+ */
+function createXmlTokenizer(handlers) {
+    /** Text that is not tokenized yet, starting with an incomplete tag or with text whose following tag has not arrived */
+    let buffer = "";
+    const getLocalName = (/** @type {string} */ name) => name.slice(name.indexOf(":") + 1);
+
+    return {
+        write(chunk) {
+            buffer += chunk;
+            let position = 0;
+            while (true) {
+                const tagStart = buffer.indexOf("<", position);
+                // Text is reported once the tag after it has arrived, as the text and its entities could be split over chunks.
+                if (tagStart < 0) break;
+                if (tagStart > position && handlers.onText)
+                    handlers.onText(decodeXmlEntities(buffer.slice(position, tagStart)));
+                position = tagStart;
+
+                if (buffer.startsWith("<!--", tagStart) || buffer.startsWith("<![CDATA[", tagStart)) {
+                    const isComment = buffer[tagStart + 2] === "-";
+                    const end = buffer.indexOf(isComment ? "-->" : "]]>", tagStart);
+                    if (end < 0) break;
+                    if (!isComment && handlers.onText)
+                        handlers.onText(buffer.slice(tagStart + 9, end));
+                    position = end + 3;
+                    continue;
+                }
+
+                // The tag ends at the first > outside of quoted attribute values.
+                let end = -1;
+                let quote = "";
+                for (let index = tagStart + 1; index < buffer.length; index++) {
+                    const character = buffer[index];
+                    if (quote) {
+                        if (character === quote) quote = "";
+                    } else if (character === '"' || character === "'") {
+                        quote = character;
+                    } else if (character === ">") {
+                        end = index;
+                        break;
+                    }
+                }
+                if (end < 0) break;
+                const tag = buffer.slice(tagStart + 1, end);
+                position = end + 1;
+
+                if (tag[0] === "?" || tag[0] === "!")
+                    continue;
+                if (tag[0] === "/") {
+                    handlers.onCloseTag?.(getLocalName(tag.slice(1).trim()));
+                    continue;
+                }
+                const name = getLocalName(tag.match(/^[^\s/>]+/)?.[0] ?? "");
+                /** @type {Object<string, string>} */
+                const attributes = {};
+                Array.from(tag.matchAll(/([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g))
+                    .forEach(match => attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3] ?? ""));
+                handlers.onOpenTag?.(name, attributes);
+                if (tag.endsWith("/"))
+                    handlers.onCloseTag?.(name);
+            }
+            buffer = buffer.slice(position);
+        }
+    };
+}
+
+/** Create a collector of the text of spreadsheet strings (si or is elements) from the tags of an xml tokenizer.
+ * Like getExcelStringText, it concatenates the text of the runs and leaves out phonetic guides (rPh).
+ * @param {OfficeParserConfig} config Config Object for officeParser, cellFormatting renders bold, italic and struck through runs as markdown emphasis
+ * @returns {{ openTag: (name: string, attributes: Object<string, string>) => void, closeTag: (name: string) => void, text: (text: string) => void, finish: () => string }}
+ */
+function createExcelStringCollector(config) {
+    /** @type {{ text: string, formatting: { bold?: boolean, italic?: boolean, strike?: boolean } }[]} */
+    let runs = [];
+    /** @type {{ bold?: boolean, italic?: boolean, strike?: boolean }} */
+    let formatting = {};
+    let isInRun = false;
+    let isInPhonetic = false;
+    /** @type {string | undefined} Text of the t element being read */
+    let text;
+    const formattingNames = { b: "bold", i: "italic", strike: "strike" };
+
+    return {
+        openTag(name, attributes) {
+            if (name === "r") {
+                isInRun = true;
+                formatting = {};
+            } else if (name === "rPh") {
+                isInPhonetic = true;
+            } else if (name === "t" && !isInPhonetic) {
+                text = "";
+            } else if (isInRun && config.cellFormatting && formattingNames[name] && !/^(?:0|false)$/i.test(attributes.val || "")) {
+                // Toggle properties are turned off again by val="0" or "false".
+                formatting[formattingNames[name]] = true;
+            }
+        },
+        closeTag(name) {
+            if (name === "t" && text !== undefined) {
+                runs.push({ text: text, formatting: isInRun ? formatting : {} });
+                text = undefined;
+            } else if (name === "r") {
+                isInRun = false;
+            } else if (name === "rPh") {
+                isInPhonetic = false;
+            }
+        },
+        text(value) {
+            if (text !== undefined) text += value;
+        },
+        /** Get the text of the string and start collecting the next one */
+        finish() {
+            const result = renderExcelRuns(runs);
+            runs = [];
+            return result;
+        }
+    };
+}
+
+/** Read the shared strings of a workbook as a stream, one string per si element
+ * @param {yauzl.ZipFile}        zipfile The zip file of the workbook
+ * @param {yauzl.Entry | undefined} entry The xl/sharedStrings.xml entry, undefined for workbooks without shared strings
+ * @param {OfficeParserConfig}   config  Config Object for officeParser
+ * @returns {Promise<string[]>} Shared strings
+ */
+async function readExcelSharedStrings(zipfile, entry, config) {
+    /** @type {string[]} */
+    const sharedStrings = [];
+    if (!entry) return sharedStrings;
+
+    const collector = createExcelStringCollector(config);
+    const tokenizer = createXmlTokenizer({
+        onOpenTag: collector.openTag,
+        onCloseTag: name => name === "si" ? sharedStrings.push(collector.finish()) : collector.closeTag(name),
+        onText: collector.text
+    });
+    for await (const chunk of await openZipEntryStream(zipfile, entry))
+        tokenizer.write(chunk);
+    return sharedStrings;
+}
+
+/** Number of rows with values at the start of a worksheet that parseExcelStream holds back at most, to find the columns of its table */
+const EXCEL_STREAM_HEADER_ROWS = 1000;
+
+/** Stream the rows of a worksheet as the lines of a Markdown table, in a single pass over the worksheet xml.
+ * The header is written once the columns of the table are known. Like parseExcel, the table is cropped to the columns with values,
+ * as found in the rows with values up to EXCEL_STREAM_HEADER_ROWS of them, which are held back until then. The table of a sheet
+ * with more rows spans the columns of the dimension of the sheet, which also counts cells that only have a style, or without
+ * a dimension the columns found so far. Values in later rows outside of these columns are left out, with a note after the table
+ * of how many. Like parseExcel, long runs of empty rows become a single row.
+ * @param {string | Buffer} file The xlsx file, for the error of a corrupted file
+ * @param {import('stream').Readable} sheetStream Stream of the worksheet xml
+ * @param {{ sharedStrings: string[], cellFormats: string[], date1904: boolean }} workbookData Shared strings, cell formats and date system of the workbook
+ * @param {OfficeParserConfig} config Config Object for officeParser
+ * @returns {AsyncGenerator<string, void, undefined>} Lines of the Markdown table
+ */
+async function* streamExcelSheetRows(file, sheetStream, workbookData, config) {
+    const range = parseCellRange(config.range);
+
+    /** Lines that are complete and wait to be yielded */
+    /** @type {string[]} */
+    const lines = [];
+    /** Columns of the table, 0 until they are known */
+    let minCol = 0;
+    let maxCol = 0;
+    /** Columns of the dimension of the sheet within the range config, 0 without a dimension */
+    let dimension = { minCol: 0, maxCol: 0 };
+    /** Rows with values that are held back until the columns are known, with the columns that they use */
+    /** @type {{ rowNumber: number, values: Map<number, string> }[]} */
+    let heldRows = [];
+    let usedMinCol = 0;
+    let usedMaxCol = 0;
+    /** Number of cells with values outside of the columns of the table once they are set, which are left out with a note */
+    let omittedCellCount = 0;
+
+    let rowNumber = 0;
+    let lastRowNumber = 0;
+    /** @type {Map<number, string>} Values of the cells of the current row by column */
+    let rowValues = new Map();
+    let col = 0;
+    let cell = { type: "n", style: "", value: "", hasValue: false, formula: "", formulaAttributes: {}, isInlineString: false };
+    /** @type {"v" | "f" | undefined} Element of the cell whose text is being read */
+    let textTarget;
+    /** First cells of shared formulas by their index, for moving their references to the other cells */
+    const sharedFormulas = {};
+    /** Array formulas with the range of cells they hold for, until the rows of their range are passed */
+    /** @type {{ formula: string, start: { row: number, col: number }, end: { row: number, col: number } }[]} */
+    let arrayFormulas = [];
+    const parseReference = (/** @type {string} */ ref) => ({ row: parseInt(ref.replace(/[^0-9]/g, ""), 10), col: getExcelColumnNumber(ref.replace(/[^A-Za-z]/g, "")) });
+    const collector = createExcelStringCollector(config);
+
+    /** Write the lines of a row with values, the header before the first one and empty rows for the rows without values before it */
+    const writeRow = (/** @type {number} */ number, /** @type {Map<number, string>} */ values) => {
+        const columnCount = maxCol - minCol + 1;
+        const cellValues = Array.from({ length: columnCount }, (_, index) => values.get(minCol + index) ?? '');
+        if (lastRowNumber == 0) {
+            // The header is either made of the column letters or of the first row with data.
+            lines.push(getSheetTableRow(config.firstRowAsHeader ? cellValues : Array.from({ length: columnCount }, (_, index) => getExcelColumnName(minCol + index))));
+            lines.push('|' + ' --- |'.repeat(columnCount));
+        } else {
+            // Rows without data between rows with data stay as empty rows, long runs of them as a single row.
+            lines.push(...getEmptySheetTableRows(number - lastRowNumber - 1, columnCount));
+        }
+        if (lastRowNumber != 0 || !config.firstRowAsHeader)
+            lines.push(getSheetTableRow(cellValues));
+        lastRowNumber = number;
+    };
+
+    /** Set the columns of the table and write the rows held back so far
+     * @param {boolean} isComplete Flag whether all rows with values are held, so that their columns are the columns of the table
+     */
+    const writeHeldRows = (isComplete) => {
+        minCol = usedMinCol;
+        maxCol = usedMaxCol;
+        if (!isComplete && dimension.maxCol > 0) {
+            minCol = Math.min(minCol, dimension.minCol);
+            maxCol = Math.max(maxCol, dimension.maxCol);
+        }
+        heldRows.forEach(heldRow => writeRow(heldRow.rowNumber, heldRow.values));
+        heldRows = [];
+    };
+
+    const tokenizer = createXmlTokenizer({
+        onOpenTag: (name, attributes) => {
+            if (cell.isInlineString) {
+                collector.openTag(name, attributes);
+            } else if (name === "dimension" && attributes.ref) {
+                const [start, end = start] = attributes.ref.split(":").map(parseReference);
+                dimension = {
+                    minCol: Math.max(start.col, range ? range.start.col : 1),
+                    maxCol: Math.min(end.col, range ? range.end.col : end.col)
+                };
+            } else if (name === "row") {
+                // Rows and cells without a reference follow the previous one.
+                rowNumber = attributes.r ? parseInt(attributes.r, 10) : rowNumber + 1;
+                rowValues = new Map();
+                col = 0;
+            } else if (name === "c") {
+                col = attributes.r ? getExcelColumnNumber(attributes.r.replace(/[^A-Za-z]/g, "")) : col + 1;
+                cell = { type: attributes.t || "n", style: attributes.s || "0", value: "", hasValue: false, formula: "", formulaAttributes: {}, isInlineString: false };
+            } else if (name === "v") {
+                textTarget = "v";
+                cell.hasValue = true;
+            } else if (name === "f") {
+                textTarget = "f";
+                cell.formulaAttributes = attributes;
+            } else if (name === "is") {
+                cell.isInlineString = true;
+            }
+        },
+        onText: text => {
+            if (cell.isInlineString) collector.text(text);
+            else if (textTarget === "v") cell.value += text;
+            else if (textTarget === "f") cell.formula += text;
+        },
+        onCloseTag: name => {
+            if (name === "is") {
+                cell.isInlineString = false;
+                cell.value = collector.finish();
+                cell.hasValue = true;
+                cell.type = "inlineStr";
+            } else if (cell.isInlineString) {
+                collector.closeTag(name);
+            } else if (name === "v" || name === "f") {
+                textTarget = undefined;
+            } else if (name === "c") {
+                let cellValue = "";
+                if (cell.type == "inlineStr") {
+                    cellValue = cell.value;
+                } else if (cell.hasValue && cell.value !== "") {
+                    const value = formatExcelCellValue(cell.value, cell.type, workbookData.cellFormats[parseInt(cell.style, 10)] ?? "General", workbookData.sharedStrings, workbookData.date1904, config);
+                    if (value == undefined)
+                        throw ERRORMSG.fileCorrupted(file);
+                    cellValue = value;
+                }
+
+                // Shared formulas are written once in their first cell, array formulas once for all cells of their range.
+                let formula = "";
+                if (cell.formulaAttributes.t == "array" && cell.formula) {
+                    const [start, end = start] = (cell.formulaAttributes.ref || `${getExcelColumnName(col)}${rowNumber}`).split(":").map(parseReference);
+                    arrayFormulas.push({ formula: `{=${cell.formula}}`, start: start, end: end });
+                }
+                const arrayFormula = arrayFormulas.find(({ start, end }) => rowNumber >= start.row && rowNumber <= end.row && col >= start.col && col <= end.col);
+                if (arrayFormula) {
+                    formula = arrayFormula.formula;
+                } else if (cell.formulaAttributes.t == "shared") {
+                    const index = cell.formulaAttributes.si ?? "";
+                    if (cell.formula)
+                        sharedFormulas[index] = { formula: cell.formula, row: rowNumber, col: col };
+                    const sharedFormula = sharedFormulas[index];
+                    if (sharedFormula)
+                        formula = `=${shiftExcelFormula(sharedFormula.formula, rowNumber - sharedFormula.row, col - sharedFormula.col)}`;
+                } else if (cell.formula) {
+                    formula = `=${cell.formula}`;
+                }
+                if (formula && config.formulas == "only")
+                    cellValue = `\`${formula}\``;
+                else if (formula && config.formulas == "inline")
+                    cellValue = `\`${formula}\` → ${cellValue !== '' ? cellValue : '*无缓存值*'}`;
+
+                if (cellValue !== "" && isInCellRange(range, rowNumber, col)) {
+                    if (maxCol == 0 || (col >= minCol && col <= maxCol))
+                        rowValues.set(col, cellValue);
+                    else
+                        omittedCellCount++;
+                }
+            } else if (name === "row") {
+                arrayFormulas = arrayFormulas.filter(({ end }) => end.row > rowNumber);
+                if (rowValues.size == 0)
+                    return;
+                if (maxCol > 0)
+                    return writeRow(rowNumber, rowValues);
+
+                heldRows.push({ rowNumber: rowNumber, values: rowValues });
+                rowValues.forEach((_, column) => {
+                    usedMinCol = usedMinCol == 0 ? column : Math.min(usedMinCol, column);
+                    usedMaxCol = Math.max(usedMaxCol, column);
+                });
+                // Rows that already use all columns of the dimension need not wait for further rows.
+                if (heldRows.length >= EXCEL_STREAM_HEADER_ROWS || (dimension.maxCol > 0 && usedMinCol <= dimension.minCol && usedMaxCol >= dimension.maxCol))
+                    writeHeldRows(false);
+            }
+        }
+    });
+
+    for await (const chunk of sheetStream) {
+        tokenizer.write(chunk);
+        yield* lines.splice(0, lines.length);
+    }
+    if (heldRows.length > 0) {
+        writeHeldRows(true);
+        yield* lines.splice(0, lines.length);
+    }
+    if (omittedCellCount > 0)
+        yield* ["", `*已省略 ${omittedCellCount} 个超出列范围的单元格*`];
 }
 
+/** Number of times that a repeated row or cell with a value of an open office spreadsheet is expanded at most */
+const OPENOFFICE_REPEAT_LIMIT = 1000;
 
 /** Main function for parsing text from open office files
  * @param {string | Buffer}    file     File path or Buffers
@@ -655,22 +4110,43 @@ function parseOpenOffice(file, callback, config) {
     const mainContentFilePath     = 'content.xml';
     const objectContentFilesRegex = /Object \d+\/content.xml/g;
 
-    extractFiles(file, x => x == mainContentFilePath || !!x.match(objectContentFilesRegex))
+    extractFiles(file, x => x == mainContentFilePath)
         .then(files => {
             // Verify if atleast the content xml file exists in the extracted files list.
             if (!files.map(file => file.path).includes(mainContentFilePath))
                 throw ERRORMSG.fileCorrupted(file);
 
-            return {
-                mainContentFile:    files.filter(file => file.path == mainContentFilePath).map(file => file.content)[0],
-                objectContentFiles: files.filter(file => file.path.match(objectContentFilesRegex)).map(file => file.content),
-            }
+            const mainContent = parseString(files.filter(file => file.path == mainContentFilePath).map(file => file.content)[0]);
+
+            // Sheets of spreadsheets and slides of presentations that are not selected are removed before the text is read.
+            /** @type {Element[]} */
+            const removedParts = [];
+            Array.from(mainContent.getElementsByTagName("office:spreadsheet")).forEach(spreadsheet => {
+                const sheets = getChildElements(spreadsheet, "table:table").map(table => ({ name: table.getAttribute("table:name") ?? "", table: table }));
+                const selectedSheets = selectSheets(sheets, config.sheets);
+                sheets.filter(sheet => !selectedSheets.includes(sheet)).forEach(sheet => removedParts.push(sheet.table));
+            });
+            const isSelectedSlide = parseNumberSelection(config.slides);
+            Array.from(mainContent.getElementsByTagName("office:presentation")).forEach(presentation => {
+                getChildElements(presentation, "draw:page").filter((page, index) => !isSelectedSlide(index + 1)).forEach(page => removedParts.push(page));
+            });
+            removedParts.forEach(part => part.parentNode?.removeChild(part));
+
+            // Objects like charts are only read when they are placed in what is left of the content.
+            const placedObjectPaths = Array.from(mainContent.getElementsByTagName("draw:object"))
+                .map(objectNode => `${(objectNode.getAttribute("xlink:href") || "").replace(/^\.\//, "").replace(/\/$/, "")}/content.xml`);
+            return extractFiles(file, x => !!x.match(objectContentFilesRegex) && (removedParts.length == 0 || placedObjectPaths.includes(x)))
+                .then(objectContentFiles => ({
+                    mainContent:        mainContent,
+                    objectContentFiles: objectContentFiles,
+                }));
         })
         // ********************************** openoffice xml files explanation **********************************
         // Structure of xmlContent of openoffice files is simple.
         // All text nodes are within text:h and text:p tags with all kinds of formatting within nested tags.
         // All text in these tags are separated by new line delimiters.
         // Objects like charts in ods files are in Object d+/content.xml with the same way as above.
+        // Formula objects hold MathML instead, which is converted to LaTeX where the object is placed.
         // ******************************************************************************************************
         .then(xmlContentFilesObject => {
             /** Store all the notes text content to respond */
@@ -678,6 +4154,20 @@ function parseOpenOffice(file, callback, config) {
             /** Store all the text content to respond */
             let responseText = [];
 
+            /** LaTeX of the formula objects keyed by their object name (like "Object 1") */
+            const formulas = {};
+            /** Object names of the formulas that were placed within the text */
+            const placedFormulas = new Set();
+            /** The other objects, parsed for their text */
+            const objectContents = [];
+            xmlContentFilesObject.objectContentFiles.forEach(objectFile => {
+                const objectContent = parseString(objectFile.content);
+                if (objectContent.documentElement && objectContent.documentElement.localName === "math")
+                    formulas[objectFile.path.replace(/\/content\.xml$/, "")] = mathMLToLatex(objectContent.documentElement);
+                else
+                    objectContents.push(objectContent);
+            });
+
             /** List of allowed text tags */
             const allowedTextTags = ["text:p", "text:h"];
             /** List of notes tags */
@@ -761,6 +4251,103 @@ function parseOpenOffice(file, callback, config) {
                 return markdownTable;
             }
 
+            /** Get the value of a cell of a spreadsheet sheet, with the rawValues config the typed value instead of the displayed text.
+             * Numbers, percentages and currencies give office:value, dates and times stay in ISO 8601 and booleans show as TRUE and FALSE. */
+            function getOpenOfficeCellValue(cell) {
+                // Paragraphs of the cell are its lines. Annotations hold paragraphs of their own and are not part of the value.
+                const text = getChildElements(cell, "text:p").map(paragraph => extractTextFromNode(paragraph).trim()).filter(line => line).join("\n");
+                if (!config.rawValues)
+                    return text;
+                switch (cell.getAttribute("office:value-type")) {
+                    case "float":
+                    case "percentage":
+                    case "currency":
+                        return cell.getAttribute("office:value") || text;
+                    case "date":
+                        return cell.getAttribute("office:date-value") || text;
+                    case "time":
+                        return cell.getAttribute("office:time-value") || text;
+                    case "boolean":
+                        return ["true", "1"].includes(cell.getAttribute("office:boolean-value") ?? "") ? "TRUE" : "FALSE";
+                    default:
+                        return text;
+                }
+            }
+
+            /** Get the rows of a spreadsheet sheet, also those within header rows, row groups and row blocks */
+            function getOpenOfficeRows(parentElement) {
+                return getChildElements(parentElement, "*").flatMap(child => {
+                    if (child.nodeName === "table:table-row")
+                        return [child];
+                    if (["table:table-header-rows", "table:table-row-group", "table:table-rows"].includes(child.nodeName))
+                        return getOpenOfficeRows(child);
+                    return [];
+                });
+            }
+
+            /** Lay out the cells of a spreadsheet sheet on their grid, keyed by their row and column number like 1-1 as for excel sheets.
+             * Repeated rows and cells are expanded. Repeats of empty rows and cells only move the position on, so the repeats that fill
+             * a sheet up to its last row take no memory and are cut away with the used range. Repeats of rows and cells with a value
+             * are expanded up to OPENOFFICE_REPEAT_LIMIT times, and the repeats left out are noted below the sheet. Merged cells cover
+             * the positions of their span, which are left blank or repeat the value of the merged cell with the mergedCells config. */
+            function layoutOpenOfficeSheet(tableElement) {
+                /** @type {Map<string, string>} */
+                const cellData = new Map();
+                /** @type {string[]} */
+                const notes = [];
+                const range = parseCellRange(config.range);
+                // Repeats beyond the limit are left out, which is noted when the left out cells are within the range.
+                const isCutInRange = (firstRow, lastRow, firstCol, lastCol) =>
+                    !range || (firstRow <= range.end.row && lastRow >= range.start.row && firstCol <= range.end.col && lastCol >= range.start.col);
+                const setCellValue = (row, col, value) => {
+                    if (isInCellRange(range, row, col))
+                        cellData.set(`${row}-${col}`, value);
+                };
+
+                let row = 0;
+                getOpenOfficeRows(tableElement).forEach(rowElement => {
+                    const rowRepeat = parseInt(rowElement.getAttribute("table:number-rows-repeated") || "1", 10);
+
+                    // Covered cells take their position in the row but show the merged cell instead of their own content.
+                    const rowCells = [];
+                    let col = 0;
+                    getChildElements(rowElement, "*")
+                        .filter(cell => cell.nodeName === "table:table-cell" || cell.nodeName === "table:covered-table-cell")
+                        .forEach(cell => {
+                            const colRepeat = parseInt(cell.getAttribute("table:number-columns-repeated") || "1", 10);
+                            const value = cell.nodeName === "table:table-cell" ? getOpenOfficeCellValue(cell) : "";
+                            if (value !== "") {
+                                const colSpan = parseInt(cell.getAttribute("table:number-columns-spanned") || "1", 10);
+                                const rowSpan = parseInt(cell.getAttribute("table:number-rows-spanned") || "1", 10);
+                                for (let index = 0; index < Math.min(colRepeat, OPENOFFICE_REPEAT_LIMIT); index++)
+                                    rowCells.push({ col: col + index + 1, value: value, colSpan: colSpan, rowSpan: rowSpan });
+                                if (colRepeat > OPENOFFICE_REPEAT_LIMIT && isCutInRange(row + 1, row + rowRepeat, col + OPENOFFICE_REPEAT_LIMIT + 1, col + colRepeat))
+                                    notes.push(`*${getExcelColumnName(col + 1)}${row + 1} 重复了 ${colRepeat} 个单元格，只列出了前 ${OPENOFFICE_REPEAT_LIMIT} 个*`);
+                            }
+                            col += colRepeat;
+                        });
+
+                    if (rowCells.length > 0) {
+                        const lastCol = Math.max(...rowCells.map(cell => cell.col + cell.colSpan - 1));
+                        if (rowRepeat > OPENOFFICE_REPEAT_LIMIT && isCutInRange(row + OPENOFFICE_REPEAT_LIMIT + 1, row + rowRepeat, rowCells[0].col, lastCol))
+                            notes.push(`*第 ${row + 1} 行重复了 ${rowRepeat} 行，只列出了前 ${OPENOFFICE_REPEAT_LIMIT} 行*`);
+                        for (let index = 1; index <= Math.min(rowRepeat, OPENOFFICE_REPEAT_LIMIT); index++) {
+                            rowCells.forEach(cell => {
+                                setCellValue(row + index, cell.col, cell.value);
+                                if (config.mergedCells !== "repeat")
+                                    return;
+                                for (let spanRow = 0; spanRow < cell.rowSpan; spanRow++)
+                                    for (let spanCol = 0; spanCol < cell.colSpan; spanCol++)
+                                        if (spanRow > 0 || spanCol > 0)
+                                            setCellValue(row + index + spanRow, cell.col + spanCol, cell.value);
+                            });
+                        }
+                    }
+                    row += rowRepeat;
+                });
+                return { cellData: cellData, notes: notes };
+            }
+
             /** Extract text content from a node recursively */
             function extractTextFromNode(node) {
                 let text = "";
@@ -784,6 +4371,16 @@ function parseOpenOffice(file, callback, config) {
             
             /** Traversal function that gets recursive calling. */
             function traversal(node, xmlTextArray, isFirstRecursion, parentTagName) {
+                // Formula objects within the text are replaced by their LaTeX.
+                if (node.tagName == "draw:object") {
+                    const objectName = (node.getAttribute("xlink:href") || "").replace(/^\.\//, "").replace(/\/$/, "");
+                    if (formulas[objectName] !== undefined) {
+                        placedFormulas.add(objectName);
+                        xmlTextArray.push(`$${formulas[objectName]}$`);
+                    }
+                    return;
+                }
+
                 if (!node.childNodes || node.childNodes.length == 0) {
                     if (node.parentNode.tagName.indexOf('text') == 0 && node.nodeValue) {
                         if (isNotesNode(node.parentNode) && (config.putNotesAtLast || config.ignoreNotes)) {
@@ -837,13 +4434,20 @@ function parseOpenOffice(file, callback, config) {
             }
 
             /** The xml string parsed as xml array */
-            const xmlContentArray = [xmlContentFilesObject.mainContentFile, ...xmlContentFilesObject.objectContentFiles].map(xmlContent => parseString(xmlContent));
+            const xmlContentArray = [xmlContentFilesObject.mainContent, ...objectContents];
             
             // Iterate over each xmlContent and extract text from them.
             xmlContentArray.forEach(xmlContent => {
-                // First, process tables
+                // First, process tables. The sheets of spreadsheets are headed by their name and laid out like the sheets of excel files.
                 const tables = xmlContent.getElementsByTagName("table:table");
                 for (let i = 0; i < tables.length; i++) {
+                    if (tables[i].parentNode?.nodeName === "office:spreadsheet") {
+                        const sheet = layoutOpenOfficeSheet(tables[i]);
+                        const sheetLines = renderSheetMarkdown(sheet.cellData, config);
+                        const notes = sheet.notes.length > 0 ? `\n\n${sheet.notes.join("\n\n")}` : "";
+                        responseText.push(`## ${tables[i].getAttribute("table:name") ?? ""}\n\n${sheetLines.length > 0 ? sheetLines.join("\n") : "*此工作表为空*"}${notes}\n\n`);
+                        continue;
+                    }
                     const markdownTable = parseOpenOfficeTable(tables[i]);
                     if (markdownTable.trim()) {
                         responseText.push(markdownTable);
@@ -875,6 +4479,9 @@ function parseOpenOffice(file, callback, config) {
                     // Add every text information from within this textNode and combine them together.
                     .map(textNode => {
                         const text = extractAllTextsFromNode(textNode);
+                        // A paragraph holding nothing but a formula shows it as a display equation.
+                        if (/^\$[^$]*\$$/.test(text.trim()) && textNode.getElementsByTagName("draw:object").length === 1)
+                            return formatAsMarkdown(`$${text.trim()}$`, textNode.tagName);
                         return formatAsMarkdown(text, textNode.tagName);
                     })
                     .filter(text => text.trim() !== "")
@@ -885,6 +4492,11 @@ function parseOpenOffice(file, callback, config) {
                 }
             });
 
+            // Formulas that are not placed within the text, like those on presentation slides, follow the content as display equations.
+            Object.keys(formulas)
+                .filter(objectName => !placedFormulas.has(objectName))
+                .forEach(objectName => responseText.push(`$$${formulas[objectName]}$$\n\n`));
+
             // Add notes text at the end if the user config says so.
             if (!config.ignoreNotes && config.putNotesAtLast) {
                 const notesMarkdown = notesText.join('').trim();
@@ -1061,8 +4673,20 @@ async function parsePdf(file, callback, config) {
     // Get the pdfjs document for the filepath or Uint8Array buffers.
     // pdfjs does not accept Buffers directly, so we convert them to Uint8Array.
     pdfjs.getDocument(file instanceof Buffer ? new Uint8Array(file) : file).promise
-        // We go through each page and build our text content promise array.
-        .then(document => Promise.all(Array.from({ length: document.numPages }, (_, index) => document.getPage(index + 1).then(page => page.getTextContent()))))
+        // We go through the selected pages one after another and collect their text content, such that a single page is loaded at a time.
+        // The other pages are never loaded.
+        .then(async document => {
+            const isSelectedPage = parseNumberSelection(config.pages);
+            const textContentArray = [];
+            for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+                if (!isSelectedPage(pageNumber))
+                    continue;
+                const page = await document.getPage(pageNumber);
+                textContentArray.push(await page.getTextContent());
+                page.cleanup();
+            }
+            return textContentArray;
+        })
         // Each textContent item has property 'items' which is an array of objects.
         // Each object element in the array has text stored in their 'str' key.
         // The concatenation of str is what makes our pdf content.
@@ -1100,6 +4724,32 @@ async function parsePdf(file, callback, config) {
         .catch(e => callback(undefined, e));
 }
 
+/** Default values of the config, such that none of the config flags are undefined
+ * @type {OfficeParserConfig}
+ */
+const DEFAULT_CONFIG = {
+    ignoreNotes: false,
+    newlineDelimiter: '\n',
+    putNotesAtLast: false,
+    ignoreHiddenSlides: false,
+    ignoreHiddenSheets: false,
+    rawValues: false,
+    cellFormatting: false,
+    firstRowAsHeader: false,
+    sheets: [],
+    range: '',
+    slides: '',
+    pages: '',
+    outputErrorToConsole: false,
+    footnotes: 'end',
+    trackedChanges: 'accept',
+    comments: 'ignore',
+    mergedCells: 'blank',
+    formulas: 'ignore',
+    headersFooters: 'ignore',
+    nestedTables: 'flatten'
+};
+
 /** Main async function with callback to execute parseOffice for supported files
  * @param {string | Buffer | ArrayBuffer} srcFile      File path or file buffers or Javascript ArrayBuffer
  * @param {function}                      callback     Callback function that returns value or error
@@ -1109,13 +4759,7 @@ async function parsePdf(file, callback, config) {
 function parseOffice(srcFile, callback, config = {}) {
     // Make a clone of the config with default values such that none of the config flags are undefined.
     /** @type {OfficeParserConfig} */
-    const internalConfig = {
-        ignoreNotes: false,
-        newlineDelimiter: '\n',
-        putNotesAtLast: false,
-        outputErrorToConsole: false,
-        ...config
-    };
+    const internalConfig = { ...DEFAULT_CONFIG, ...config };
 
     // Our internal code can process regular node Buffers or file path.
     // So, if the src file was presented as ArrayBuffers, we create Buffers from them.
@@ -1201,6 +4845,99 @@ function parseOfficeAsync(srcFile, config = {}) {
     });
 }
 
+/** Main async generator for parsing text from large excel files, as an alternative to parseOffice that keeps the memory use low.
+ * The sheets are read as streams and their rows are yielded as Markdown as they get parsed, such that no sheet is held in memory.
+ * Cell values, number formats, shared strings, formulas, hidden sheets and the selection of sheets and cells are handled like parseOffice
+ * does. Merged cells, tables, comments, hyperlinks and drawings need a whole sheet and are left out. Each sheet is read once, its first
+ * rows with values are held back until the columns of its table are known. Values of later rows outside of these columns are left out,
+ * with a note after the table of how many. The shared strings that cells refer to are held in memory,
+ * so that a large sharedStrings.xml still takes its size in memory.
+ * @param {string | Buffer | ArrayBuffer} srcFile     File path or file buffers of an xlsx file
+ * @param {OfficeParserConfig}            [config={}] [OPTIONAL]: Config Object for officeParser
+ * @returns {AsyncGenerator<string, void, undefined>} Markdown chunks, like sheet headings and table rows, each ending with the newline delimiter
+ */
+async function* parseExcelStream(srcFile, config = {}) {
+    /** @type {OfficeParserConfig} */
+    const internalConfig = { ...DEFAULT_CONFIG, ...config };
+    const newline = internalConfig.newlineDelimiter ?? "\n";
+    // Our internal code can process regular node Buffers or file path.
+    const file = srcFile instanceof ArrayBuffer ? Buffer.from(srcFile) : srcFile;
+
+    /** @type {yauzl.ZipFile | undefined} */
+    let zipfile;
+    try {
+        if (typeof file === 'string' && !fs.existsSync(file))
+            throw ERRORMSG.fileDoesNotExist(file);
+
+        const zip = await openZipEntries(file);
+        zipfile = zip.zipfile;
+        const entries = zip.entries;
+        const partPaths = Array.from(entries.keys());
+        if (!partPaths.some(partPath => partPath.match(/xl\/(worksheets|chartsheets)\/[^/]+\.xml$/)))
+            throw ERRORMSG.fileCorrupted(file);
+
+        const readPart = (/** @type {string} */ partPath) => readZipEntry(/** @type {yauzl.ZipFile} */ (zipfile), entries.get(partPath));
+        const getPartRelationships = async (/** @type {string} */ partPath) => parseRelationships(await readPart(getRelationshipsPath(partPath)), partPath);
+
+        const workbookFilePath = 'xl/workbook.xml';
+        const workbook = parseExcelWorkbook(await readPart(workbookFilePath), await getPartRelationships(workbookFilePath), partPaths);
+        const workbookData = {
+            sharedStrings: await readExcelSharedStrings(zipfile, entries.get('xl/sharedStrings.xml'), internalConfig),
+            cellFormats: parseExcelStyles(await readPart('xl/styles.xml')),
+            date1904: workbook.date1904
+        };
+
+        const sheets = selectSheets(workbook.sheets, internalConfig.sheets);
+        for (const sheet of sheets) {
+            if (sheet.isHidden && internalConfig.ignoreHiddenSheets)
+                continue;
+            yield `${sheet.isHidden ? `## ${sheet.name} (隐藏)` : `## ${sheet.name}`}\n${newline}`;
+
+            // Chartsheets only show a chart, which is small enough to be parsed as a whole.
+            if (sheet.path.split("/")[1] == "chartsheets") {
+                const drawingId = parseString(await readPart(sheet.path) ?? "").getElementsByTagName("drawing")[0]?.getAttribute("r:id");
+                const drawingPath = (await getPartRelationships(sheet.path))[drawingId ?? ""]?.path ?? "";
+                const drawingRelationships = await getPartRelationships(drawingPath);
+                const chartsMarkdown = [];
+                for (const chart of Array.from(parseString(await readPart(drawingPath) ?? "<xdr:wsDr/>").getElementsByTagName("c:chart"))) {
+                    const chartContent = await readPart(drawingRelationships[chart.getAttribute("r:id") ?? ""]?.path ?? "");
+                    const chartMarkdown = chartContent != undefined ? renderChartMarkdown(parseChart(chartContent), internalConfig) : "";
+                    if (chartMarkdown) chartsMarkdown.push(chartMarkdown);
+                }
+                yield `${chartsMarkdown.length > 0 ? chartsMarkdown.join(newline) : '*此工作表为空*'}${newline}${newline}`;
+                continue;
+            }
+
+            const entry = entries.get(sheet.path);
+            let hasRows = false;
+            for await (const line of streamExcelSheetRows(file, await openZipEntryStream(zipfile, /** @type {yauzl.Entry} */ (entry)), workbookData, internalConfig)) {
+                hasRows = true;
+                yield `${line}${newline}`;
+            }
+            if (!hasRows)
+                yield `*此工作表为空*${newline}`;
+            yield newline; // Add empty line after each sheet
+        }
+
+        // List the defined names with the ranges they refer to, names of a single sheet with that sheet.
+        const definedNames = workbook.definedNames.filter(definedName => !definedName.sheetName || sheets.some(sheet => sheet.name == definedName.sheetName));
+        if (definedNames.length > 0) {
+            yield `## 定义的名称\n${newline}`;
+            for (const definedName of definedNames)
+                yield `${definedName.sheetName ? `- ${definedName.name}（${definedName.sheetName}）：${definedName.reference}` : `- ${definedName.name}：${definedName.reference}`}${newline}`;
+            yield newline;
+        }
+    }
+    catch (error) {
+        if (internalConfig.outputErrorToConsole)
+            console.error(ERRORHEADER + error);
+        throw new Error(ERRORHEADER + error);
+    }
+    finally {
+        zipfile?.close();
+    }
+}
+
 /** Extract specific files from either a ZIP file buffer or file path based on a filter function.
  * @param {Buffer|string}          zipInput ZIP file input, either a Buffer or a file path (string).
  * @param {(x: string) => boolean} filterFn A function that receives the entry object and returns true if the file should be extracted.
@@ -1263,6 +5000,93 @@ function extractFiles(zipInput, filterFn) {
     });
 }
 
+/** Open a zip file and list its entries, such that single entries can be read later on in any order and as streams.
+ * Unlike extractFiles, no content is read up front. The zip file has to be closed by the caller.
+ * @param {string | Buffer} zipInput File path or Buffers
+ * @returns {Promise<{ zipfile: yauzl.ZipFile, entries: Map<string, yauzl.Entry> }>}
+ */
+function openZipEntries(zipInput) {
+    return new Promise((res, rej) => {
+        /** Lists the entries of the zip file and resolves with them.
+         * @param {yauzl.ZipFile} zipfile
+         */
+        const processZipfile = (zipfile) => {
+            /** @type {Map<string, yauzl.Entry>} */
+            const entries = new Map();
+            zipfile.on('entry', (/** @type {yauzl.Entry} */ entry) => {
+                entries.set(entry.fileName, entry);
+                zipfile.readEntry(); // Continue reading entries
+            });
+            zipfile.on('end', () => res({ zipfile, entries }));
+            zipfile.on('error', rej);
+            zipfile.readEntry();
+        };
+
+        // The zip file stays open after listing its entries, for reading them afterwards.
+        if (Buffer.isBuffer(zipInput)) {
+            yauzl.fromBuffer(zipInput, { lazyEntries: true }, (err, zipfile) => {
+                if (err) return rej(err);
+                processZipfile(zipfile);
+            });
+        }
+        else if (typeof zipInput === 'string') {
+            yauzl.open(zipInput, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+                if (err) return rej(err);
+                processZipfile(zipfile);
+            });
+        }
+        else
+            rej(ERRORMSG.invalidInput);
+    });
+}
+
+/** Open a stream of the text of a zip entry
+ * @param {yauzl.ZipFile} zipfile The zip file opened by openZipEntries
+ * @param {yauzl.Entry}   entry   The entry to read
+ * @returns {Promise<import('stream').Readable>} Stream of utf-8 text
+ */
+function openZipEntryStream(zipfile, entry) {
+    return new Promise((res, rej) => {
+        zipfile.openReadStream(entry, (err, readStream) => {
+            if (err) return rej(err);
+            // The read streams of stored entries end without their data when they are iterated with for await, so they are piped
+            // into a regular stream. Errors of the entry end up on that stream, and destroying it also destroys the read stream.
+            const textStream = new PassThrough();
+            pipeline(readStream, textStream, () => {});
+            textStream.setEncoding('utf8');
+            res(textStream);
+        });
+    });
+}
+
+/** Read the whole text of a zip entry
+ * @param {yauzl.ZipFile}           zipfile The zip file opened by openZipEntries
+ * @param {yauzl.Entry | undefined} entry   The entry to read
+ * @returns {Promise<string | undefined>} Text of the entry, undefined for entries that do not exist
+ */
+async function readZipEntry(zipfile, entry) {
+    if (!entry) return undefined;
+    let content = "";
+    for await (const chunk of await openZipEntryStream(zipfile, entry))
+        content += chunk;
+    return content;
+}
+
+/** Read the text of the entries of a zip file whose path passes a filter function, like extractFiles does for a zip file that is not open yet
+ * @param {yauzl.ZipFile}             zipfile  The zip file opened by openZipEntries
+ * @param {Map<string, yauzl.Entry>}  entries  Entries of the zip file by their path
+ * @param {(x: string) => boolean}    filterFn A function that receives the path of an entry and returns true if it should be read
+ * @returns {Promise<{ path: string, content: string }[]>} Resolves to an array of the paths and texts of the entries
+ */
+async function readZipEntries(zipfile, entries, filterFn) {
+    /** @type {{ path: string, content: string }[]} */
+    const files = [];
+    for (const [path, entry] of Array.from(entries))
+        if (filterFn(path))
+            files.push({ path: path, content: await readZipEntry(zipfile, entry) ?? "" });
+    return files;
+}
+
 /** Handle error by logging it to console if permitted by the config.
  * And after that, trigger the callback function with the error value.
  * @param {string}   error                Error text
@@ -1281,6 +5105,7 @@ function handleError(error, callback, outputErrorToConsole) {
 // Export functions
 module.exports.parseOffice      = parseOffice;
 module.exports.parseOfficeAsync = parseOfficeAsync;
+module.exports.parseExcelStream = parseExcelStream;
 
 
 // Run this library on CLI
@@ -1342,9 +5167,65 @@ if ((typeof process.argv[0] == 'string' && (process.argv[0].split('/').pop() ==
                     case '--putNotesAtLast':
                         config.putNotesAtLast = value.toLowerCase() === 'true';
                         break;
+                    case '--ignoreHiddenSlides':
+                        config.ignoreHiddenSlides = value.toLowerCase() === 'true';
+                        break;
+                    case '--ignoreHiddenSheets':
+                        config.ignoreHiddenSheets = value.toLowerCase() === 'true';
+                        break;
+                    case '--rawValues':
+                        config.rawValues = value.toLowerCase() === 'true';
+                        break;
+                    case '--cellFormatting':
+                        config.cellFormatting = value.toLowerCase() === 'true';
+                        break;
+                    case '--firstRowAsHeader':
+                        config.firstRowAsHeader = value.toLowerCase() === 'true';
+                        break;
+                    case '--sheets':
+                        // Sheets are given by name or, for numbers, by position.
+                        config.sheets = value.split(',').map(sheet => /^\d+$/.test(sheet.trim()) ? parseInt(sheet, 10) : sheet);
+                        break;
+                    case '--range':
+                        config.range = value;
+                        break;
+                    case '--slides':
+                        config.slides = value;
+                        break;
+                    case '--pages':
+                        config.pages = value;
+                        break;
                     case '--outputErrorToConsole':
                         config.outputErrorToConsole = value.toLowerCase() === 'true';
                         break;
+                    case '--footnotes':
+                        if (['end', 'inline', 'ignore'].includes(value))
+                            config.footnotes = /** @type {"end" | "inline" | "ignore"} */ (value);
+                        break;
+                    case '--comments':
+                        if (['ignore', 'inline', 'end'].includes(value))
+                            config.comments = /** @type {"ignore" | "inline" | "end"} */ (value);
+                        break;
+                    case '--mergedCells':
+                        if (['blank', 'repeat'].includes(value))
+                            config.mergedCells = /** @type {"blank" | "repeat"} */ (value);
+                        break;
+                    case '--formulas':
+                        if (['ignore', 'inline', 'only'].includes(value))
+                            config.formulas = /** @type {"ignore" | "inline" | "only"} */ (value);
+                        break;
+                    case '--nestedTables':
+                        if (['flatten', 'html'].includes(value))
+                            config.nestedTables = /** @type {"flatten" | "html"} */ (value);
+                        break;
+                    case '--headersFooters':
+                        if (['ignore', 'top', 'bottom', 'frontMatter'].includes(value))
+                            config.headersFooters = /** @type {"ignore" | "top" | "bottom" | "frontMatter"} */ (value);
+                        break;
+                    case '--trackedChanges':
+                        if (['accept', 'reject', 'annotate'].includes(value))
+                            config.trackedChanges = /** @type {"accept" | "reject" | "annotate"} */ (value);
+                        break;
                 }
             });
 
@@ -1376,7 +5257,23 @@ Config Options:
     --ignoreNotes=[true|false]          Flag to ignore notes from files like PowerPoint. Default is false.
     --newlineDelimiter=[delimiter]      The delimiter to use for new lines. Default is '\\n'.
     --putNotesAtLast=[true|false]       Flag to collect notes at the end of files like PowerPoint. Default is false.
+    --ignoreHiddenSlides=[true|false]   Flag to leave out hidden slides of files like PowerPoint. Default is false.
+    --ignoreHiddenSheets=[true|false]   Flag to leave out hidden sheets of files like Excel. Default is false.
+    --rawValues=[true|false]            Flag to give stored cell values instead of formatted ones in files like Excel and OpenOffice Calc. Default is false.
+    --cellFormatting=[true|false]       Flag to render bold and italic runs of cells in files like Excel as Markdown. Default is false.
+    --firstRowAsHeader=[true|false]     Flag to use the first row of sheets in files like Excel as table header. Default is false.
+    --sheets=[names|positions]          Sheets to parse in files like Excel, separated by commas like Sheet1,3. Default is all sheets.
+    --range=[cell range]                Range of cells like A1:H200 to parse of each sheet in files like Excel. Default is all cells.
+    --slides=[numbers]                  Slides to parse in files like PowerPoint, as numbers and ranges like 1-3,7. Default is all slides.
+    --pages=[numbers]                   Pages to parse in pdf files, as numbers and ranges like 1-3,7. Default is all pages.
     --outputErrorToConsole=[true|false] Flag to output errors to the console. Default is false.
+    --footnotes=[end|inline|ignore]     How footnotes and endnotes are rendered in files like Word. Default is end.
+    --trackedChanges=[accept|reject|annotate] How tracked changes are rendered in files like Word. Default is accept.
+    --comments=[ignore|inline|end]      How comments are rendered in files like Word and Excel. Default is ignore.
+    --mergedCells=[blank|repeat]        How positions covered by a merged table cell are filled. Default is blank.
+    --formulas=[ignore|inline|only]     How formulas of cells are rendered in files like Excel. Default is ignore.
+    --nestedTables=[flatten|html]       How tables nested in a table cell are rendered in files like Word. Default is flatten.
+    --headersFooters=[ignore|top|bottom|frontMatter] Where headers and footers of files like Word are included. Default is ignore.
 
 Note:
     The order of file path and config options doesn't matter.
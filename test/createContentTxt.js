@@ -1,6 +1,7 @@
 const officeParser = require("../officeParser");
 const fs = require("fs");
 const supportedExtensions = require("../supportedExtensions");
+const featureTests = require("./featureTests");
 
 // File names of test files and their text output content
 // test file name style => test.<ext>
@@ -17,11 +18,23 @@ function createContentFile(ext) {
         .then(text => fs.writeFileSync(getFilename(ext, true), text, 'utf8'))
 }
 
+/** Create content files of all variants of the feature test file with passed name */
+function createFeatureContentFiles(file) {
+    return Promise.all(featureTests
+        .filter(test => test.file == file)
+        .map(test => officeParser.parseOfficeAsync(`test/files/${test.file}`, test.config)
+            .then(text => fs.writeFileSync(`test/files/${test.file}.${test.variant}.txt`, text, 'utf8'))
+            .then(() => console.log(`Created text content file for ${test.file} => test/files/${test.file}.${test.variant}.txt`))));
+}
+
 
 process.argv.length == 3
     ? supportedExtensions.includes(process.argv[2])
         ? createContentFile(process.argv[2])
             .then(() => console.log(`Created text content file for ${process.argv[2]} => ${getFilename(process.argv[2], true)}`))
             .catch((error) => console.error(error))
-        : console.error("The requested extension test is not currently available.")
+        : featureTests.some(test => test.file == process.argv[2])
+            ? createFeatureContentFiles(process.argv[2])
+                .catch((error) => console.error(error))
+            : console.error("The requested extension test is not currently available.")
     : console.error("Arguments missing");
\ No newline at end of file
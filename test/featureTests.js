@@ -0,0 +1,274 @@
+// File names of feature test files, each made for a single feature, and their text output content
+// test file name style => <feature>.<ext>
+// test content output => <feature>.<ext>.<variant>.txt
+
+/** List of feature tests with the config that each variant of a test file is parsed with */
+const featureTests = [
+    {
+        file: "lists.docx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "lists.docx",
+        variant: "reject",
+        config: { trackedChanges: "reject" }
+    },
+    {
+        file: "footnotes.docx",
+        variant: "end",
+        config: { footnotes: "end" }
+    },
+    {
+        file: "footnotes.docx",
+        variant: "inline",
+        config: { footnotes: "inline" }
+    },
+    {
+        file: "footnotes.docx",
+        variant: "ignore",
+        config: { footnotes: "ignore" }
+    },
+    {
+        file: "hyperlinks.docx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "trackedChanges.docx",
+        variant: "accept",
+        config: { trackedChanges: "accept" }
+    },
+    {
+        file: "trackedChanges.docx",
+        variant: "reject",
+        config: { trackedChanges: "reject" }
+    },
+    {
+        file: "trackedChanges.docx",
+        variant: "annotate",
+        config: { trackedChanges: "annotate" }
+    },
+    {
+        file: "comments.docx",
+        variant: "inline",
+        config: { comments: "inline" }
+    },
+    {
+        file: "comments.docx",
+        variant: "end",
+        config: { comments: "end" }
+    },
+    {
+        file: "tables.docx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "tables.docx",
+        variant: "html",
+        config: { nestedTables: "html", mergedCells: "repeat" }
+    },
+    {
+        file: "contentControls.docx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "headersFooters.docx",
+        variant: "top",
+        config: { headersFooters: "top" }
+    },
+    {
+        file: "headersFooters.docx",
+        variant: "bottom",
+        config: { headersFooters: "bottom" }
+    },
+    {
+        file: "headersFooters.docx",
+        variant: "frontMatter",
+        config: { headersFooters: "frontMatter" }
+    },
+    {
+        file: "defaultStyles.docx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "equations.docx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "hiddenSlides.pptx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "hiddenSlides.pptx",
+        variant: "ignoreHidden",
+        config: { ignoreHiddenSlides: true }
+    },
+    {
+        file: "readingOrder.pptx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "tables.pptx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "tables.pptx",
+        variant: "mergedCells",
+        config: { mergedCells: "repeat" }
+    },
+    {
+        file: "graphics.pptx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "test.pptx",
+        variant: "notesAtLast",
+        config: { putNotesAtLast: true }
+    },
+    {
+        file: "hiddenSheets.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "hiddenSheets.xlsx",
+        variant: "ignoreHidden",
+        config: { ignoreHiddenSheets: true }
+    },
+    {
+        file: "values.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "values.xlsx",
+        variant: "rawValues",
+        config: { rawValues: true }
+    },
+    {
+        file: "richText.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "richText.xlsx",
+        variant: "cellFormatting",
+        config: { cellFormatting: true }
+    },
+    {
+        file: "usedRange.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "usedRange.xlsx",
+        variant: "firstRowAsHeader",
+        config: { firstRowAsHeader: true }
+    },
+    {
+        file: "usedRange.xlsx",
+        variant: "mergedCells",
+        config: { mergedCells: "repeat" }
+    },
+    {
+        file: "formulas.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "formulas.xlsx",
+        variant: "inline",
+        config: { formulas: "inline" }
+    },
+    {
+        file: "formulas.xlsx",
+        variant: "only",
+        config: { formulas: "only" }
+    },
+    {
+        file: "namedTables.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "namedTables.xlsx",
+        variant: "otherSheet",
+        config: { sheets: ["Other"] }
+    },
+    {
+        file: "hyperlinksComments.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "hyperlinksComments.xlsx",
+        variant: "commentsInline",
+        config: { comments: "inline" }
+    },
+    {
+        file: "hyperlinksComments.xlsx",
+        variant: "commentsEnd",
+        config: { comments: "end" }
+    },
+    {
+        file: "charts.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "emptyRows.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "noReferences.xlsx",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "sheets.ods",
+        variant: "default",
+        config: {}
+    },
+    {
+        file: "sheets.ods",
+        variant: "rawValues",
+        config: { sheets: ["Data"], rawValues: true, mergedCells: "repeat" }
+    },
+    {
+        file: "sheets.ods",
+        variant: "range",
+        config: { sheets: ["RepeatedRows"], range: "A998:A1005" }
+    },
+    {
+        file: "test.xlsx",
+        variant: "selection",
+        config: { sheets: ["Sheet2"], range: "B2:D4" }
+    },
+    {
+        file: "test.ods",
+        variant: "selection",
+        config: { sheets: [2], range: "B2:D4" }
+    },
+    {
+        file: "test.pptx",
+        variant: "slides",
+        config: { slides: "2" }
+    },
+    {
+        file: "test.pdf",
+        variant: "pages",
+        config: { pages: "2-3" }
+    }
+];
+
+module.exports = featureTests;
@@ -3,6 +3,7 @@
 const officeParser = require("../officeParser");
 const fs = require("fs");
 const supportedExtensions = require("../supportedExtensions");
+const featureTests = require("./featureTests");
 
 // File names of test files and their text output content
 // test file name style => test.<ext>
@@ -65,6 +66,133 @@ function runTest(ext, buffer) {
         .catch(error => console.log("ERROR: " + error));
 }
 
+/** Get filenames of a feature test file and of its text output content for a variant */
+function getFeatureFilename(file, variant = "") {
+    return `test/files/${file}` + (variant ? `.${variant}.txt` : '');
+}
+
+/** Run a feature test with its config */
+function runFeatureTest(test) {
+    return officeParser.parseOfficeAsync(getFeatureFilename(test.file), { ...config, ...test.config })
+        .then(text =>
+            fs.readFileSync(getFeatureFilename(test.file, test.variant), 'utf8') == text
+                ? console.log(`[${test.file}: ${test.variant}] => Passed`)
+                : console.log(`[${test.file}: ${test.variant}] => Failed`)
+        )
+        .catch(error => console.log("ERROR: " + error));
+}
+
+/** Tests of parseExcelStream, whose sheet tables have to match the ones of parseOfficeAsync for the same file and config */
+const streamTests = [
+    {
+        file: "test/files/test.xlsx",
+        config: {}
+    },
+    {
+        file: "test/files/noReferences.xlsx",
+        config: {}
+    },
+    {
+        file: "test/files/test.xlsx",
+        config: { sheets: [2], range: "B2:D4" }
+    },
+    {
+        file: "test/files/test.xlsx",
+        config: { sheets: ["Sheet1"], firstRowAsHeader: true, rawValues: true }
+    },
+    {
+        file: "test/files/formulas.xlsx",
+        config: { formulas: "inline" }
+    },
+    {
+        file: "test/files/emptyRows.xlsx",
+        config: {}
+    },
+    {
+        file: "test/files/lateColumns.xlsx",
+        config: { sheets: ["Dimension"] }
+    }
+];
+
+/** Get the sheet tables of parsed excel text, each with its heading, keyed by that heading. Other content after the table of a sheet is left out. */
+function getSheetTables(text) {
+    const sheetTables = {};
+    text.split(/\n(?=## )/).forEach(section => {
+        const [heading, ...lines] = section.trim().split("\n");
+        const tableStart = lines.findIndex(line => line.startsWith("|") || line.startsWith("*此工作表为空*"));
+        if (tableStart < 0) return;
+        const tableEnd = lines.findIndex((line, index) => index > tableStart && !line.startsWith("|"));
+        sheetTables[heading] = lines.slice(tableStart, tableEnd < 0 ? lines.length : tableEnd).join("\n");
+    });
+    return sheetTables;
+}
+
+/** Run a test of parseExcelStream with its config */
+async function runStreamTest(test) {
+    const name = `[stream: ${test.file.split("/").pop()}${Object.keys(test.config).length > 0 ? " " + JSON.stringify(test.config) : ""}]`;
+    try {
+        let streamText = "";
+        for await (const chunk of officeParser.parseExcelStream(test.file, { ...config, ...test.config }))
+            streamText += chunk;
+        const streamTables = getSheetTables(streamText);
+        const documentTables = getSheetTables(await officeParser.parseOfficeAsync(test.file, { ...config, ...test.config }));
+        // Sections that only parseOfficeAsync has, like the drawings of the workbook, are not compared.
+        const isMatching = Object.keys(streamTables).length > 0
+            && Object.keys(streamTables).every(heading => streamTables[heading] == documentTables[heading]);
+        console.log(`${name} => ${isMatching ? "Passed" : "Failed"}`);
+    }
+    catch (error) {
+        console.log("ERROR: " + error);
+    }
+}
+
+/** Tests of parseExcelStream whose output has to contain a note, for sheets where it cannot match parseOfficeAsync */
+const streamNoteTests = [
+    {
+        file: "test/files/lateColumns.xlsx",
+        config: { sheets: ["No dimension"] },
+        note: "*已省略 1 个超出列范围的单元格*"
+    }
+];
+
+/** Run a test of parseExcelStream whose output has to contain the note of the test */
+async function runStreamNoteTest(test) {
+    const name = `[stream note: ${test.file.split("/").pop()} ${JSON.stringify(test.config)}]`;
+    try {
+        let streamText = "";
+        for await (const chunk of officeParser.parseExcelStream(test.file, { ...config, ...test.config }))
+            streamText += chunk;
+        console.log(`${name} => ${streamText.split("\n").includes(test.note) ? "Passed" : "Failed"}`);
+    }
+    catch (error) {
+        console.log("ERROR: " + error);
+    }
+}
+
+/** Tests of selections that are not valid, which have to be rejected */
+const invalidSelectionTests = [
+    {
+        file: "test/files/test.pdf",
+        config: { pages: "7-3" }
+    },
+    {
+        file: "test/files/test.pptx",
+        config: { slides: "0" }
+    },
+    {
+        file: "test/files/test.xlsx",
+        config: { range: "A1:B" }
+    }
+];
+
+/** Run a test of a selection that is not valid */
+function runInvalidSelectionTest(test) {
+    const name = `[invalid selection: ${test.file.split("/").pop()} ${JSON.stringify(test.config)}]`;
+    return officeParser.parseOfficeAsync(test.file, { ...test.config, outputErrorToConsole: false })
+        .then(() => console.log(`${name} => Failed`))
+        .catch(error => console.log(`${name} => ${/is not (?:a )?valid/.test(error.message) ? "Passed" : "Failed"}`));
+}
+
 async function runAllTests() {
     for (let i = 0; i < supportedExtensionTests.length; i++)
     {
@@ -76,6 +204,18 @@ async function runAllTests() {
         else
             console.log(`[${test.ext}]=> Skipped`);
     }
+
+    for (let i = 0; i < featureTests.length; i++)
+        await runFeatureTest(featureTests[i]);
+
+    for (let i = 0; i < streamTests.length; i++)
+        await runStreamTest(streamTests[i]);
+
+    for (let i = 0; i < streamNoteTests.length; i++)
+        await runStreamNoteTest(streamNoteTests[i]);
+
+    for (let i = 0; i < invalidSelectionTests.length; i++)
+        await runInvalidSelectionTest(invalidSelectionTests[i]);
 }
 
 // Run all test files with test content if no argument passed.
@@ -16,6 +16,70 @@ export type OfficeParserConfig = {
      * Flag, if set to true, will collectively put all the parsed text from notes at last in files like powerpoint. Default is false. It puts each notes right after its main slide content. If ignoreNotes is set to true, this flag is also ignored.
      */
     putNotesAtLast?: boolean;
+    /**
+     * Flag to leave out slides that are hidden in the slide show in files like powerpoint. Default is false. Slides keep their number in the deck either way.
+     */
+    ignoreHiddenSlides?: boolean;
+    /**
+     * Flag to leave out hidden sheets in files like excel. Default is false. Hidden sheets are included with (隐藏) after their name by default.
+     */
+    ignoreHiddenSheets?: boolean;
+    /**
+     * Flag to give the stored values of spreadsheet cells in files like excel and open office calc instead of the values as displayed through their number format. Dates are then given in ISO 8601 and booleans as TRUE and FALSE. Default is false.
+     */
+    rawValues?: boolean;
+    /**
+     * Flag to render bold, italic and struck through runs of rich text cells in files like excel as markdown emphasis. Default is false, giving the plain cell text.
+     */
+    cellFormatting?: boolean;
+    /**
+     * Flag to use the first row with data of each sheet in files like excel as the markdown table header instead of the column letters. Default is false.
+     */
+    firstRowAsHeader?: boolean;
+    /**
+     * Sheets to parse in spreadsheets like excel, by their name or by their position in the workbook starting at 1. Default is [], parsing all sheets.
+     */
+    sheets?: (string | number)[];
+    /**
+     * Range of cells like A1:H200 to parse of each sheet in spreadsheets like excel. Default is "", parsing all cells.
+     */
+    range?: string;
+    /**
+     * Slides to parse in presentations like powerpoint, as numbers and ranges like 1-3,7. Slides keep their number in the deck. Default is "", parsing all slides.
+     */
+    slides?: string;
+    /**
+     * Pages to parse in pdf files, as numbers and ranges like 1-3,7. Default is "", parsing all pages.
+     */
+    pages?: string;
+    /**
+     * How footnotes and endnotes in files like word are rendered. "end" puts [^n] markers in the text and their definitions at the end, "inline" puts the note text right at the marker as ^[...] and "ignore" leaves them out. Default is "end".
+     */
+    footnotes?: "end" | "inline" | "ignore";
+    /**
+     * How comments in files like word and notes and comments of cells in files like excel are rendered. "inline" puts each comment thread right after the text it is anchored to, "end" lists all comment threads with their anchored text in a section at the end, for spreadsheets after the tables of their sheet with their cell reference, and "ignore" leaves them out. Default is "ignore".
+     */
+    comments?: "ignore" | "inline" | "end";
+    /**
+     * How positions covered by a merged table cell are filled in markdown tables. "blank" leaves them empty and "repeat" repeats the text of the merged cell. Default is "blank".
+     */
+    mergedCells?: "blank" | "repeat";
+    /**
+     * How formulas of spreadsheet cells in files like excel are rendered. "inline" shows the formula as code followed by its cached value like `=SUM(B2:B9)` → 420, "only" shows the formula instead of the value and "ignore" leaves them out. With "inline", cells with a formula but no cached value show *无缓存值* as their value. Default is "ignore".
+     */
+    formulas?: "ignore" | "inline" | "only";
+    /**
+     * How tables nested in a table cell in files like word are rendered. "flatten" puts their text into the cell with one line per row and "html" renders them as an html table within the cell. Default is "flatten".
+     */
+    nestedTables?: "flatten" | "html";
+    /**
+     * How headers and footers in files like word are included. Each distinct header and footer is included once. "top" and "bottom" put them at the top or the bottom of the text, "frontMatter" puts them as headers and footers lists in a YAML front matter block and "ignore" leaves them out. Default is "ignore".
+     */
+    headersFooters?: "ignore" | "top" | "bottom" | "frontMatter";
+    /**
+     * How tracked changes in files like word are rendered. "accept" gives the text with all changes accepted, "reject" gives the original text before the changes and "annotate" marks insertions and deletions with html ins and del tags and formatting changes with html span tags, carrying their author and date. Default is "accept".
+     */
+    trackedChanges?: "accept" | "reject" | "annotate";
 };
 /** Main async function with callback to execute parseOffice for supported files
  * @param {string | Buffer}    file        File path or file buffers
@@ -30,4 +94,16 @@ export function parseOffice(file: string | Buffer, callback: Function, config?:
  * @returns {Promise<string>}
  */
 export function parseOfficeAsync(file: string | Buffer, config?: OfficeParserConfig): Promise<string>;
+/** Main async generator for parsing text from large excel files, as an alternative to parseOffice that keeps the memory use low.
+ * The sheets are read as streams and their rows are yielded as Markdown as they get parsed, such that no sheet is held in memory.
+ * Cell values, number formats, shared strings, formulas, hidden sheets and the selection of sheets and cells are handled like parseOffice
+ * does. Merged cells, tables, comments, hyperlinks and drawings need a whole sheet and are left out. Each sheet is read once, its first
+ * rows with values are held back until the columns of its table are known. Values of later rows outside of these columns are left out,
+ * with a note after the table of how many. The shared strings that cells refer to are held in memory,
+ * so that a large sharedStrings.xml still takes its size in memory.
+ * @param {string | Buffer | ArrayBuffer} file        File path or file buffers of an xlsx file
+ * @param {OfficeParserConfig}            [config={}] [OPTIONAL]: Config Object for officeParser
+ * @returns {AsyncGenerator<string, void, undefined>} Markdown chunks, like sheet headings and table rows, each ending with the newline delimiter
+ */
+export function parseExcelStream(file: string | Buffer | ArrayBuffer, config?: OfficeParserConfig): AsyncGenerator<string, void, undefined>;
 //# sourceMappingURL=officeParser.d.ts.map
\ No newline at end of file